@@ -26,9 +26,172 @@ const DATA_URL_HISTORY = './data/history.json';
 /** @const {string} URL for latest consensus report */
 const DATA_URL_CONSENSUS = './data/consensus/latest.json';
 
+/** @const {string} URL for index of archived consensus reports (one entry per serial) */
+const DATA_URL_CONSENSUS_INDEX = './data/consensus/index.json';
+
+/** @const {string} Base URL for archived consensus reports ({serial}.json) */
+const DATA_URL_CONSENSUS_ARCHIVE = './data/consensus/';
+
+/** @const {string} URL for latest registry (Docker Hub vs artifacts) report */
+const DATA_URL_REGISTRY = './data/registry-latest.json';
+
+/** @const {string} URL for historical registry reports */
+const DATA_URL_REGISTRY_HISTORY = './data/registry-history.json';
+
+/**
+ * @const {{architectures: Array<string>, suites: Array<string>}} Combinations every run should cover
+ * Architectures as in scripts/setup-matrix.sh; suites are those the build
+ * workflow builds by default. Expected combinations without a result count
+ * as missing in rates.
+ */
+const EXPECTED_COVERAGE = {
+  architectures: ['amd64', 'arm64', 'armhf', 'i386', 'ppc64el', 's390x'],
+  suites: ['bookworm', 'trixie']
+};
+
 /** @const {number} Number of days to show in sparklines */
 const SPARKLINE_DAYS = 7;
 
+/** @const {Array<{key: string, days: number|null, label: string}>} Selectable trend chart windows */
+const TREND_WINDOWS = [
+  { key: '7', days: 7, label: '7 days' },
+  { key: '30', days: 30, label: '30 days' },
+  { key: '90', days: 90, label: '90 days' },
+  { key: 'all', days: null, label: 'all' }
+];
+
+/** @const {Array<{key: string, label: string}>} How trend charts and sparklines group history */
+const HISTORY_GROUPS = [
+  { key: 'run', label: 'per run' },
+  { key: 'serial', label: 'per serial' }
+];
+
+/** @const {number} Milliseconds per day */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** @const {Array<{min: number, className: string, label: string}>} Calendar heatmap colours by daily rate, highest first */
+const CALENDAR_LEVELS = [
+  { min: 100, className: 'day-full', label: '100%' },
+  { min: 90, className: 'day-high', label: '≥ 90%' },
+  { min: 50, className: 'day-mid', label: '≥ 50%' },
+  { min: 0, className: 'day-low', label: '< 50%' }
+];
+
+/** @const {Array<string>} Calendar row labels, Sunday first (alternate rows labelled) */
+const CALENDAR_WEEKDAYS = ['', 'Mon', '', 'Wed', '', 'Fri', ''];
+
+/**
+ * @const {Object<string, {label: string, maxAgeDays: number}>} Freshness threshold per feed
+ * A feed whose timestamp is older than maxAgeDays is stale. Builds and
+ * consensus run weekly and registry verification daily; each threshold
+ * allows one missed scheduled run.
+ */
+const FEED_FRESHNESS = {
+  latest: { label: 'Reproduction', maxAgeDays: 15 },
+  consensus: { label: 'Consensus', maxAgeDays: 15 },
+  registry: { label: 'Registry', maxAgeDays: 3 }
+};
+
+/** @const {number} Most recent runs considered when measuring cell stability */
+const STABILITY_RUNS = 30;
+
+/** @const {number} Status flips within the stability window that mark a cell flaky */
+const FLAKY_MIN_FLIPS = 2;
+
+/** @const {number} Consecutive failures after which a flaky cell counts as regressed */
+const REGRESSION_MIN_STREAK = 3;
+
+/** @const {number} Rows shown in the most unstable combinations list */
+const UNSTABLE_LIST_LIMIT = 10;
+
+/** @const {number} Previous measured builds forming a cell's rolling build-time baseline */
+const BUILD_BASELINE_RUNS = 10;
+
+/** @const {number} Measured builds needed before slow runs are flagged */
+const BUILD_BASELINE_MIN = 3;
+
+/** @const {number} Build time over this multiple of the rolling baseline is flagged as slow */
+const BUILD_SLOWDOWN_FACTOR = 1.5;
+
+/** @const {number} Minimum hex characters required before searching checksums */
+const SEARCH_MIN_LENGTH = 6;
+
+/** @const {number} Maximum search results rendered */
+const SEARCH_MAX_RESULTS = 200;
+
+/** @const {number} Bytes read per chunk when hashing a local file */
+const HASH_CHUNK_SIZE = 4 * 1024 * 1024;
+
+/**
+ * @const {Array<string>} Status filters for matrix and details (failing only,
+ * single-platform only, without a consensus comparison)
+ */
+const VIEW_STATUS_FILTERS = ['all', 'failing', 'single', 'unchecked'];
+
+/** @const {Array<string>} Sort keys for matrix rows and details rows */
+const VIEW_SORT_KEYS = ['name', 'status', 'time'];
+
+/** @const {Array<string>} Environment fields that change every run and are ignored when diffing */
+const ENV_DIFF_IGNORED = [
+  'timestamp',
+  'github_actions.run_id',
+  'github_actions.run_number',
+  'github_actions.runner_name'
+];
+
+/** @const {Array<string>} Environment fields ignored for drift detection (the commit is linked instead) */
+const ENV_DRIFT_IGNORED = [...ENV_DIFF_IGNORED, 'git.sha'];
+
+/** @const {Object<string, string>} Display names for flattened environment fields */
+const ENV_FIELD_LABELS = {
+  'os.name': 'OS',
+  'os.version': 'OS version',
+  'os.kernel': 'Kernel',
+  'os.arch': 'Host arch',
+  docker: 'Docker',
+  qemu: 'QEMU',
+  'git.version': 'Git',
+  'git.branch': 'Branch',
+  'git.sha': 'Commit',
+  'github_actions.runner_os': 'Runner OS',
+  'github_actions.runner_arch': 'Runner arch',
+  'github_actions.runner_name': 'Runner',
+  'github_actions.workflow': 'Workflow'
+};
+
+/** @const {Object<string, string>} HTML entities for characters escaped by escapeHtml() */
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/** @const {number} Version of the normalized report model produced by normalizeReport() */
+const DATA_MODEL_VERSION = 1;
+
+/** @const {number} Data-quality issues listed before the notice is truncated */
+const DATA_QUALITY_MAX_ISSUES = 20;
+
+/** @const {{attempts: number, baseDelayMs: number}} Fetch attempts per data source; the delay between attempts doubles */
+const FETCH_RETRY = { attempts: 3, baseDelayMs: 1000 };
+
+/** @const {number} Milliseconds between data refreshes (conditional requests for every source) */
+const REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+
+/** @const {string} Cache of last-known-good data feeds, served by sw.js when the network fails; must match DATA_CACHE there */
+const DATA_CACHE = 'debian-repro-data-v1';
+
+/** @const {string} Service worker script, relative to the page */
+const SERVICE_WORKER_URL = 'sw.js';
+
+/** @const {string} Notification title for change alerts */
+const NOTIFICATION_TITLE = 'Debian reproducibility';
+
+/** @const {string} Source repository, for commit and CI run links */
+const REPO_URL = 'https://github.com/sheurich/debian-repro';
+
 // =============================================================================
 // State Management
 // =============================================================================
@@ -39,6 +202,22 @@ const SPARKLINE_DAYS = 7;
  *   latest: Object|null,
  *   history: Array<Object>,
  *   consensus: Object|null,
+ *   consensusIndex: Array<Object>,
+ *   consensusArchive: Object<string, Object>,
+ *   consensusSerial: string|null,
+ *   registry: Object|null,
+ *   registryHistory: Array<Object>,
+ *   selectedRunId: string|null,
+ *   route: {view: string, name: string|null},
+ *   compare: {base: string|null, target: string|null},
+ *   view: {archs: Array<string>, suites: Array<string>, status: string, sort: string, dir: string},
+ *   trendWindow: string,
+ *   historyGroup: string,
+ *   calendarDay: string|null,
+ *   dataQuality: Array<{source: string, path: string, message: string}>,
+ *   sources: Object<string, {url: string, ok: boolean, valid: boolean, httpStatus: ?number, loadMs: number, etag: ?string, lastModified: ?string, cachedAt: ?string, attempts: number, error: ?string}>,
+ *   lastRefresh: string|null,
+ *   notify: boolean,
  *   loaded: boolean
  * }}
  */
@@ -46,6 +225,22 @@ const state = {
   latest: null,
   history: [],
   consensus: null,
+  consensusIndex: [],
+  consensusArchive: {},
+  consensusSerial: null,
+  registry: null,
+  registryHistory: [],
+  selectedRunId: null,
+  route: { view: 'overview', name: null },
+  compare: { base: null, target: null },
+  view: { archs: [], suites: [], status: 'all', sort: 'name', dir: 'asc' },
+  trendWindow: '90',
+  historyGroup: 'run',
+  calendarDay: null,
+  dataQuality: [],
+  sources: {},
+  lastRefresh: null,
+  notify: false,
   loaded: false
 };
 
@@ -58,68 +253,474 @@ const state = {
  * @returns {Promise<void>}
  */
 async function init() {
+  registerServiceWorker();
   try {
     await loadData();
+    state.route = parseRoute(window.location.hash);
+    state.selectedRunId = resolveRunId(runIdFromHash(window.location.hash));
+    state.view = parseViewParams(window.location.search);
+    window.addEventListener('hashchange', () => applyHash(window.location.hash));
     renderAll();
-    generateJSONLD();
+    if (state.latest) generateJSONLD();
     state.loaded = true;
+    setInterval(refreshData, REFRESH_INTERVAL_MS);
   } catch (error) {
     handleError(error);
   }
 }
 
 /**
- * Load both latest report and historical data
- * Falls back to placeholder data if latest report unavailable
+ * Register the offline service worker; without it the dashboard only loses
+ * its cached fallback
+ */
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register(SERVICE_WORKER_URL)
+    .catch(error => console.warn('Service worker unavailable:', error.message));
+}
+
+/**
+ * Data sources loaded by loadData, in load order
+ * apply() validates a fetched document and stores it in state, returning
+ * false when the document failed validation; reset() clears the source's
+ * state when it is unavailable. Legacy reports are upgraded before
+ * validation and normalized once after it, so renderers only see the
+ * current model.
+ * @const {Array<{name: string, url: string, apply: function(*): boolean, reset: function(): void}>}
+ */
+const DATA_SOURCES = [
+  {
+    name: 'latest.json',
+    url: DATA_URL_LATEST,
+    apply: data => {
+      const latest = upgradeReport(data);
+      state.latest = checkDocument('latest.json', latest, REPORT_SCHEMA) ? normalizeReport(latest) : null;
+      return state.latest !== null;
+    },
+    reset: () => { state.latest = null; }
+  },
+  {
+    name: 'history.json',
+    url: DATA_URL_HISTORY,
+    apply: data => {
+      const history = Array.isArray(data) ? data.map(upgradeReport) : data;
+      state.history = validEntries('history.json', history, REPORT_SCHEMA).map(normalizeReport);
+      return Array.isArray(data);
+    },
+    reset: () => { state.history = []; }
+  },
+  {
+    name: 'consensus/latest.json',
+    url: DATA_URL_CONSENSUS,
+    apply: data => {
+      state.consensus = checkDocument('consensus/latest.json', data, CONSENSUS_SCHEMA) ? data : null;
+      return state.consensus !== null;
+    },
+    reset: () => { state.consensus = null; }
+  },
+  {
+    name: 'consensus/index.json',
+    url: DATA_URL_CONSENSUS_INDEX,
+    apply: data => {
+      state.consensusIndex = validEntries('consensus/index.json', data, CONSENSUS_INDEX_SCHEMA);
+      return Array.isArray(data);
+    },
+    reset: () => { state.consensusIndex = []; }
+  },
+  {
+    name: 'registry-latest.json',
+    url: DATA_URL_REGISTRY,
+    apply: data => {
+      state.registry = checkDocument('registry-latest.json', data, REGISTRY_SCHEMA) ? data : null;
+      return state.registry !== null;
+    },
+    reset: () => { state.registry = null; }
+  },
+  {
+    name: 'registry-history.json',
+    url: DATA_URL_REGISTRY_HISTORY,
+    apply: data => {
+      state.registryHistory = validEntries('registry-history.json', data, REGISTRY_SCHEMA);
+      return Array.isArray(data);
+    },
+    reset: () => { state.registryHistory = []; }
+  }
+];
+
+/**
+ * Load every data source
+ * Invalid documents (and invalid history entries) are dropped and listed in
+ * state.dataQuality; unavailable sources leave their state empty rather
+ * than filled with placeholder data
  * @returns {Promise<void>}
  */
 async function loadData() {
-  // Load latest report
+  state.dataQuality = [];
+  for (const source of DATA_SOURCES) {
+    await loadSource(source);
+  }
+}
+
+/**
+ * Fetch, validate and store one data source
+ * Earlier data-quality issues for the source are replaced; the outcome is
+ * recorded in state.sources. A conditional (refresh) load keeps the last
+ * good data when the source is unchanged or unavailable. Valid documents
+ * become the last-known-good copy; an invalid one is replaced by that copy
+ * and never stored.
+ * @param {Object} source - Entry of DATA_SOURCES
+ * @param {boolean} [conditional=false] - Send ETag/Last-Modified validators
+ * @returns {Promise<boolean>} Whether the source's state changed
+ */
+async function loadSource(source, conditional = false) {
   try {
-    const response = await fetch(DATA_URL_LATEST);
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    state.latest = await response.json();
+    const data = await fetchSource(source.name, source.url, conditional);
+    if (data === NOT_MODIFIED) return false;
+    state.dataQuality = state.dataQuality.filter(issue => issue.source !== source.name);
+    const status = state.sources[source.name];
+    status.valid = source.apply(data);
+    if (status.valid && !status.cachedAt) {
+      await cacheSource(source, data);
+    } else if (!status.valid) {
+      const cached = await readCachedSource(source);
+      if (cached && source.apply(cached.data)) status.cachedAt = cached.cachedAt;
+    }
+  } catch (error) {
+    console.warn(`${source.name} unavailable:`, error.message);
+    if (conditional) return false;
+    state.dataQuality = state.dataQuality.filter(issue => issue.source !== source.name);
+    source.reset();
+  }
+  return true;
+}
+
+/**
+ * Poll every data source with conditional requests
+ * Only sections affected by changed sources are re-rendered; notable
+ * regressions raise a browser notification when enabled
+ * @returns {Promise<Array<string>>} Names of the sources that changed
+ */
+async function refreshData() {
+  const before = snapshotAlerts();
+  const changed = [];
+  for (const source of DATA_SOURCES) {
+    if (await loadSource(source, true)) changed.push(source.name);
+  }
+  state.lastRefresh = new Date().toISOString();
+
+  if (changed.length > 0) {
+    state.selectedRunId = resolveRunId(state.selectedRunId);
+    renderChangedSources(changed);
+    notifyChanges(describeAlerts(before, snapshotAlerts()));
+  }
+  renderSourceStatus();
+  renderDataQualityNotice();
+  return changed;
+}
+
+/**
+ * Store a validated document as the source's last-known-good copy
+ * The X-Cached-At header records when; failures only lose the fallback
+ * @param {Object} source - Entry of DATA_SOURCES
+ * @param {*} data - Validated document as fetched
+ * @returns {Promise<void>}
+ */
+async function cacheSource(source, data) {
+  if (typeof caches === 'undefined') return;
+  try {
+    const cache = await caches.open(DATA_CACHE);
+    await cache.put(new URL(source.url, window.location.href).href, new Response(JSON.stringify(data), {
+      headers: { 'Content-Type': 'application/json', 'X-Cached-At': new Date().toISOString() }
+    }));
   } catch (error) {
-    console.warn('Latest report unavailable, using placeholder:', error.message);
-    state.latest = createPlaceholderData();
+    console.warn(`Could not cache ${source.name}:`, error.message);
   }
+}
 
-  // Load historical data (optional)
+/**
+ * Read the source's last-known-good copy
+ * @param {Object} source - Entry of DATA_SOURCES
+ * @returns {Promise<{data: *, cachedAt: ?string}|null>} null when nothing is cached
+ */
+async function readCachedSource(source) {
+  if (typeof caches === 'undefined') return null;
   try {
-    const response = await fetch(DATA_URL_HISTORY);
-    if (response.ok) {
-      state.history = await response.json();
-    }
+    const cache = await caches.open(DATA_CACHE);
+    const response = await cache.match(new URL(source.url, window.location.href).href);
+    if (!response) return null;
+    return { data: await response.json(), cachedAt: response.headers.get('X-Cached-At') };
   } catch (error) {
-    console.warn('History unavailable:', error.message);
-    state.history = [];
+    console.warn(`Could not read cached ${source.name}:`, error.message);
+    return null;
+  }
+}
+
+/** @const {symbol} fetchSource result for a conditional request answered 304 Not Modified */
+const NOT_MODIFIED = Symbol('not modified');
+
+/**
+ * Fetch a JSON document, retrying network and server errors with backoff
+ * Client errors (e.g. 404 for a feed not published yet) are not retried.
+ * HTTP status, load time, ETag and Last-Modified are recorded in
+ * state.sources[name], as is X-Cached-At when sw.js answered from its
+ * last-known-good cache. Conditional requests bypass the browser cache and
+ * send the recorded validators, so an unchanged document costs a 304 (and
+ * the same cached copy counts as unchanged).
+ * @param {string} name - Source name (path under data/)
+ * @param {string} url - Source URL
+ * @param {boolean} [conditional=false] - Send If-None-Match/If-Modified-Since
+ * @returns {Promise<*>} Parsed JSON, or NOT_MODIFIED
+ * @throws {Error} When the document is still unavailable after the last attempt
+ */
+async function fetchSource(name, url, conditional = false) {
+  const started = Date.now();
+  const previous = state.sources[name];
+  const headers = {};
+  if (conditional && previous?.ok) {
+    if (previous.etag) headers['If-None-Match'] = previous.etag;
+    if (previous.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+  }
+
+  const record = fields => {
+    state.sources[name] = {
+      url,
+      httpStatus: null,
+      etag: null,
+      lastModified: null,
+      cachedAt: null,
+      error: null,
+      valid: false,
+      ...fields,
+      loadMs: Date.now() - started
+    };
+  };
+
+  let lastError = null;
+  for (let attempt = 1; attempt <= FETCH_RETRY.attempts; attempt++) {
+    if (attempt > 1) await sleep(FETCH_RETRY.baseDelayMs * 2 ** (attempt - 2));
+
+    let response = null;
+    try {
+      response = conditional ? await fetch(url, { headers, cache: 'no-store' }) : await fetch(url);
+      if (response.status === 304) {
+        record({ ...previous, httpStatus: 304, attempts: attempt });
+        return NOT_MODIFIED;
+      }
+      if (response.ok) {
+        const cachedAt = response.headers?.get('X-Cached-At') ?? null;
+        if (conditional && cachedAt && previous?.cachedAt === cachedAt) {
+          record({ ...previous, attempts: attempt });
+          return NOT_MODIFIED;
+        }
+        const data = await response.json();
+        record({
+          ok: true,
+          httpStatus: response.status ?? null,
+          etag: response.headers?.get('ETag') ?? null,
+          lastModified: response.headers?.get('Last-Modified') ?? null,
+          cachedAt,
+          attempts: attempt
+        });
+        return data;
+      }
+      lastError = new Error(`HTTP ${response.status}`);
+    } catch (error) {
+      lastError = error;
+    }
+
+    record({ ok: false, httpStatus: response?.status ?? null, error: lastError.message, attempts: attempt });
+    const transient = !response || response.status >= 500 || [408, 429].includes(response.status);
+    if (!transient) break;
   }
+  throw lastError;
+}
+
+/**
+ * Reload one data source on request and re-render the dashboard
+ * Loaded like a refresh, so data kept from before a failed refresh survives
+ * another failure
+ * @param {string} name - Source name from DATA_SOURCES
+ * @returns {Promise<void>}
+ */
+async function retrySource(name) {
+  const source = DATA_SOURCES.find(item => item.name === name);
+  if (!source) return;
+
+  await loadSource(source, true);
+  state.selectedRunId = resolveRunId(state.selectedRunId);
+  renderAll();
+  if (state.latest) generateJSONLD();
+}
 
-  // Load consensus data (optional)
+/**
+ * Fetch an archived consensus report and cache it in state.consensusArchive
+ * Failures are logged; reports failing validation are not cached
+ * @param {string} serial - Serial (YYYYMMDD)
+ * @returns {Promise<boolean>} Whether the report was cached
+ */
+async function fetchConsensusReport(serial) {
   try {
-    const response = await fetch(DATA_URL_CONSENSUS);
-    if (response.ok) {
-      state.consensus = await response.json();
+    const response = await fetch(`${DATA_URL_CONSENSUS_ARCHIVE}${serial}.json`);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const report = await response.json();
+    if (!checkDocument(`consensus/${serial}.json`, report, CONSENSUS_SCHEMA)) {
+      throw new Error('failed schema validation');
     }
+    state.consensusArchive[serial] = report;
+    return true;
   } catch (error) {
-    console.warn('Consensus data unavailable:', error.message);
-    state.consensus = null;
+    console.warn(`Consensus report ${serial} unavailable:`, error.message);
+    return false;
   }
 }
 
 /**
- * Create placeholder data for initial display
- * @returns {Object} Placeholder verification report
+ * Select an archived consensus report by serial and re-render the panel
+ * Reports are fetched once and cached in state.consensusArchive
+ * @param {string|null} serial - Serial (YYYYMMDD), or null for latest
+ * @returns {Promise<void>}
  */
-function createPlaceholderData() {
-  return {
-    timestamp: new Date().toISOString(),
-    run_id: 'pending',
-    serial: 'YYYYMMDD',
-    epoch: 0,
-    environment: { platform: 'pending', runner: 'pending' },
-    architectures: {}
-  };
+async function selectConsensusSerial(serial) {
+  if (serial && !state.consensusArchive[serial] && !(await fetchConsensusReport(serial))) {
+    renderDataQualityNotice();
+    return;
+  }
+
+  state.consensusSerial = serial || null;
+  renderConsensusPanel();
+  // Consensus status filters follow the selected report
+  if (state.view.status === 'single' || state.view.status === 'unchecked') renderMatrixAndDetails();
+}
+
+/**
+ * Fetch every archived consensus report listed in the index
+ * Already-cached serials are skipped; failures are logged and ignored, and
+ * reports failing validation are left out of the archive
+ * @returns {Promise<void>}
+ */
+async function loadConsensusArchive() {
+  const missing = state.consensusIndex
+    .map(entry => entry.serial)
+    .filter(serial => !state.consensusArchive[serial]);
+
+  await Promise.all(missing.map(serial => fetchConsensusReport(serial)));
+  renderDataQualityNotice();
+}
+
+/**
+ * Get the consensus report currently shown in the consensus panel
+ * @returns {Object|null} Selected archived report, or latest
+ */
+function currentConsensusReport() {
+  if (state.consensusSerial) {
+    return state.consensusArchive[state.consensusSerial] || null;
+  }
+  return state.consensus;
+}
+
+/**
+ * Select a historical run to render (time-travel) and update the permalink
+ * The current route (overview or slice page) is kept
+ * @param {string|null} runId - CI run id, or null for latest
+ */
+function selectRun(runId) {
+  state.selectedRunId = resolveRunId(runId);
+
+  const hash = routeHash(state.route, state.selectedRunId);
+  if (window.location.hash !== hash) {
+    window.history.replaceState(null, '', hash || window.location.pathname + window.location.search);
+  }
+
+  renderAll();
+}
+
+/**
+ * Resolve a requested run id against loaded history
+ * Unknown runs and the latest run resolve to null (render latest)
+ * @param {string|null} runId - Requested CI run id
+ * @returns {string|null} Run id to render, or null for latest
+ */
+function resolveRunId(runId) {
+  if (!runId) return null;
+  const id = String(runId);
+  if (state.latest && String(state.latest.run_id) === id) return null;
+  return state.history.some(report => String(report.run_id) === id) ? id : null;
+}
+
+/**
+ * Extract requested run from a location hash
+ * Supports #run=<run_id> and #serial=<YYYYMMDD> (latest run of that serial),
+ * also as the query of a route (#/arch/arm64?run=<run_id>)
+ * @param {string} hash - Location hash, with or without leading '#'
+ * @returns {string|null} Run id or null
+ */
+function runIdFromHash(hash) {
+  const raw = (hash || '').replace(/^#/, '');
+  const params = new URLSearchParams(raw.startsWith('/') ? raw.split('?')[1] || '' : raw);
+  if (params.get('run')) return params.get('run');
+
+  const serial = params.get('serial');
+  if (serial) {
+    const runs = state.history.filter(report => report.serial === serial);
+    if (runs.length > 0) return String(runs[runs.length - 1].run_id);
+  }
+  return null;
+}
+
+/**
+ * Parse the page route from a location hash
+ * #/arch/<arch> and #/suite/<suite> open a slice page; anything else
+ * (including #run=<run_id>) is the overview
+ * @param {string} hash - Location hash, with or without leading '#'
+ * @returns {{view: string, name: string|null}} view is overview, arch or suite
+ */
+function parseRoute(hash) {
+  const match = /^#?\/(arch|suite)\/([\w.-]+)/.exec(hash || '');
+  return match ? { view: match[1], name: match[2] } : { view: 'overview', name: null };
+}
+
+/**
+ * Build the location hash for a route and selected run
+ * @param {{view: string, name: string|null}} route - Page route
+ * @param {string|null} runId - Selected run, or null for latest
+ * @returns {string} Hash with leading '#', or '' for the overview of the latest run
+ */
+function routeHash(route, runId) {
+  const run = runId ? `run=${encodeURIComponent(runId)}` : '';
+  if (route.view === 'overview') return run ? `#${run}` : '';
+  return `#/${route.view}/${encodeURIComponent(route.name)}${run ? `?${run}` : ''}`;
+}
+
+/**
+ * Apply a changed location hash: route and selected run
+ * @param {string} hash - Location hash
+ */
+function applyHash(hash) {
+  state.route = parseRoute(hash);
+  selectRun(runIdFromHash(hash));
+}
+
+/**
+ * Get the report currently being rendered
+ * @returns {Object} Selected historical report, or latest
+ */
+function currentReport() {
+  if (state.selectedRunId) {
+    const report = state.history.find(r => String(r.run_id) === state.selectedRunId);
+    if (report) return report;
+  }
+  return state.latest;
+}
+
+/**
+ * Get history up to and including the current report
+ * Sparklines rendered for a past run only see runs that existed at that time
+ * @returns {Array<Object>} History entries in chronological order
+ */
+function historyWindow() {
+  if (!state.selectedRunId) return state.history;
+  const idx = state.history.findIndex(r => String(r.run_id) === state.selectedRunId);
+  return idx >= 0 ? state.history.slice(0, idx + 1) : state.history;
 }
 
 // =============================================================================
@@ -128,29 +729,263 @@ function createPlaceholderData() {
 
 /**
  * Render all dashboard sections
+ * Sections built from the current report say so plainly when no report is available
  */
 function renderAll() {
-  renderSummaryBar();
+  renderSourceStatus();
+  renderDataQualityNotice();
+  renderReportSections();
+  renderConsensusPanel();
+  renderRegistryPanel();
+  renderSearchPanel();
+  renderLocalVerifyPanel();
+  renderSlicePage();
+  updateLastUpdate();
+}
+
+/**
+ * Render sections built from the current report and run history
+ */
+function renderReportSections() {
+  renderRunPicker();
+  if (currentReport()) {
+    renderSummaryBar();
+    renderViewControls();
+    renderStatusMatrix();
+    renderDetailsTable();
+    renderEnvironmentPanel();
+    renderHistoryTrends();
+    renderComparePanel();
+  } else {
+    renderReportUnavailable();
+  }
+  renderCalendarPanel();
+  renderSerialPanel();
+  renderStabilityPanel();
+  renderBuildTimePanel();
+}
+
+/**
+ * Re-render the summary bar alone (feed freshness or consensus changed)
+ */
+function refreshSummaryBar() {
+  if (currentReport()) renderSummaryBar();
+}
+
+/**
+ * Re-render the matrix and details table (filters depend on consensus)
+ */
+function renderMatrixAndDetails() {
+  if (!currentReport()) return;
   renderStatusMatrix();
   renderDetailsTable();
-  renderHistorySparklines();
-  updateLastUpdate();
+}
+
+/**
+ * @const {Object<string, Array<function(): void>>} Sections to re-render when a data source changes
+ * Consensus also drives the summary bar and the single-platform filter of the
+ * matrix and details table; registry and consensus index only affect the
+ * summary bar through feed freshness.
+ */
+const SOURCE_RENDERERS = {
+  'latest.json': [renderReportSections, renderSearchPanel, renderSlicePage, updateLastUpdate],
+  'history.json': [renderReportSections, renderSearchPanel, renderSlicePage],
+  'consensus/latest.json': [refreshSummaryBar, renderMatrixAndDetails, renderConsensusPanel, renderSearchPanel, renderSlicePage],
+  'consensus/index.json': [refreshSummaryBar, renderConsensusPanel],
+  'registry-latest.json': [refreshSummaryBar, renderRegistryPanel, renderSearchPanel, renderSlicePage],
+  'registry-history.json': [renderRegistryPanel, renderSearchPanel]
+};
+
+/**
+ * Re-render each section affected by the changed data sources, once
+ * @param {Array<string>} names - Changed source names
+ */
+function renderChangedSources(names) {
+  const renderers = new Set();
+  names.forEach(name => (SOURCE_RENDERERS[name] || []).forEach(render => renderers.add(render)));
+  renderers.forEach(render => render());
+  if (names.includes('latest.json') && state.latest) generateJSONLD();
+}
+
+/**
+ * Render data-source status strip
+ * One entry per source with HTTP status, load time and Last-Modified date;
+ * failed sources get a retry button. Sources rendered from the
+ * last-known-good cache are announced in a banner with the oldest copy's date.
+ */
+function renderSourceStatus() {
+  const container = document.getElementById('source-status');
+  if (!container) return;
+
+  const loaded = DATA_SOURCES.filter(({ name }) => state.sources[name]);
+  if (loaded.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  let html = '';
+  const cached = loaded.filter(({ name }) => state.sources[name].cachedAt);
+  if (cached.length > 0) {
+    const oldest = cached.map(({ name }) => state.sources[name].cachedAt).sort()[0];
+    const names = cached.map(({ name }) => `<code>${escapeHtml(name)}</code>`).join(', ');
+    html += `<p class="offline-banner" role="status"><strong>Showing cached data from ${formatDateLong(oldest)}</strong>: the network copy of ${names} is unavailable or failed validation.</p>`;
+  }
+
+  html += '<ul class="sources">';
+  loaded.forEach(({ name }) => {
+    const source = state.sources[name];
+    let status = source.httpStatus !== null ? `HTTP ${source.httpStatus}` : source.ok ? 'loaded' : 'network error';
+    if (source.cachedAt) status += ` · cached ${formatDateLong(source.cachedAt)}`;
+    const attempts = source.attempts > 1 ? ` after ${source.attempts} attempts` : '';
+
+    if (!source.ok) {
+      html += `<li class="source-fail"><code>${escapeHtml(name)}</code> unavailable: ${escapeHtml(source.error)}${attempts}`;
+      html += ` <button type="button" class="source-retry" data-source="${escapeHtml(name)}">Retry</button></li>`;
+      return;
+    }
+
+    const className = source.valid && !source.cachedAt ? 'source-ok' : 'source-warn';
+    html += `<li class="${className}"><code>${escapeHtml(name)}</code> ${status}`;
+    if (!source.valid) html += ' · invalid';
+    html += ` · ${source.loadMs} ms${attempts}`;
+    if (source.lastModified) html += ` · modified ${formatDateLong(source.lastModified)}`;
+    html += '</li>';
+  });
+  html += '</ul>';
+
+  html += `<p class="refresh-status">Refreshes every ${Math.round(REFRESH_INTERVAL_MS / 60000)} min`;
+  if (state.lastRefresh) html += ` · last checked ${formatDateLong(state.lastRefresh)}`;
+  if (typeof Notification !== 'undefined') {
+    const checked = state.notify ? ' checked' : '';
+    html += ` · <label><input type="checkbox" id="notify-toggle"${checked}> notify on regressions</label>`;
+  }
+  html += '</p>';
+  container.innerHTML = html;
+
+  const toggle = container.querySelector('#notify-toggle');
+  if (toggle) toggle.addEventListener('change', () => setNotifications(toggle.checked));
+
+  container.querySelectorAll('.source-retry').forEach(button => {
+    button.addEventListener('click', () => {
+      button.disabled = true;
+      button.textContent = 'Retrying…';
+      retrySource(button.dataset.source);
+    });
+  });
+}
+
+/**
+ * Render report sections when there is no report to show
+ * Names the failed source instead of rendering placeholder zeros
+ */
+function renderReportUnavailable() {
+  const source = state.sources['latest.json'];
+  let reason = 'has not loaded';
+  if (source && !source.ok) reason = `could not be loaded (${source.error})`;
+  else if (source && !source.valid) reason = 'failed validation';
+
+  const summary = document.getElementById('summary-bar');
+  if (summary) {
+    summary.classList.remove('summary-stale');
+    summary.innerHTML = `<p class="unavailable" role="alert"><strong>Verification results unavailable:</strong> <code>latest.json</code> ${escapeHtml(reason)}. No reproducibility figures are shown.</p>`;
+  }
+
+  const controls = document.getElementById('view-controls');
+  if (controls) controls.innerHTML = '';
+
+  ['matrix-table', 'details-content', 'environment-content', 'history-trends', 'compare-content'].forEach(id => {
+    const container = document.getElementById(id);
+    if (container) container.innerHTML = '<p class="unavailable">Unavailable until <code>latest.json</code> loads.</p>';
+  });
+}
+
+/**
+ * Render data-quality notice listing every schema violation in loaded data
+ * Hidden when all documents validated
+ */
+function renderDataQualityNotice() {
+  const container = document.getElementById('data-quality');
+  if (!container) return;
+
+  const issues = state.dataQuality;
+  if (issues.length === 0) {
+    container.innerHTML = '';
+    container.hidden = true;
+    return;
+  }
+
+  const sources = Array.from(new Set(issues.map(issue => issue.source)));
+  let html = `<p><strong>Data quality:</strong> ${issues.length} problem${issues.length === 1 ? '' : 's'} in ${escapeHtml(sources.join(', '))}. Invalid documents and history entries are not shown.</p>`;
+  html += '<ul>';
+  issues.slice(0, DATA_QUALITY_MAX_ISSUES).forEach(issue => {
+    html += `<li><code>${escapeHtml(issue.source)}</code> <code>${escapeHtml(issue.path)}</code> ${escapeHtml(issue.message)}</li>`;
+  });
+  html += '</ul>';
+  if (issues.length > DATA_QUALITY_MAX_ISSUES) {
+    html += `<p>…and ${issues.length - DATA_QUALITY_MAX_ISSUES} more.</p>`;
+  }
+
+  container.innerHTML = html;
+  container.hidden = false;
+}
+
+/**
+ * Render run picker for time-travel through history
+ * Lists every historical run (newest first) and notes when a past run is shown
+ */
+function renderRunPicker() {
+  const container = document.getElementById('run-picker');
+  if (!container) return;
+
+  if (state.history.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  let html = '<label>Run <select id="run-select">';
+  html += `<option value=""${state.selectedRunId ? '' : ' selected'}>latest</option>`;
+  state.history.slice().reverse().forEach(report => {
+    const runId = String(report.run_id);
+    const selected = runId === state.selectedRunId ? ' selected' : '';
+    html += `<option value="${escapeHtml(runId)}"${selected}>${escapeHtml(report.serial)} · ${formatDateShort(report.timestamp)} · run ${escapeHtml(runId)}</option>`;
+  });
+  html += '</select></label>';
+
+  if (state.selectedRunId) {
+    const report = currentReport();
+    html += ` <span class="run-notice">Showing run ${escapeHtml(report.run_id)} (serial ${escapeHtml(report.serial)}, ${formatDateLong(report.timestamp)}) · <a href="#" id="run-latest">back to latest</a></span>`;
+  }
+
+  container.innerHTML = html;
+
+  container.querySelector('#run-select').addEventListener('change', event => selectRun(event.target.value));
+  const latestLink = container.querySelector('#run-latest');
+  if (latestLink) {
+    latestLink.addEventListener('click', event => {
+      event.preventDefault();
+      selectRun(null);
+    });
+  }
 }
 
 /**
  * Render summary statistics bar (single line of key metrics)
  * Format: "X% reproducible | N/M architectures | Xs avg build | Serial YYYYMMDD"
+ * Stale or out-of-sync feeds put the bar in a warning state
  */
 function renderSummaryBar() {
   const container = document.getElementById('summary-bar');
-  const stats = calculateStats(state.latest);
+  const report = currentReport();
+  const stats = calculateStats(report);
+  const freshness = checkFreshness();
+  const warn = freshness.stale.length > 0 || freshness.skewed.length > 0;
 
   // Build consensus stat if available
   let consensusStat = '';
   if (state.consensus) {
-    const consensusAchieved = state.consensus.consensus?.achieved || false;
-    const consensusRate = state.consensus.summary?.consensus_rate || 0;
-    const platforms = state.consensus.platforms?.length || 0;
+    const consensusAchieved = state.consensus.consensus.achieved;
+    const consensusRate = state.consensus.summary.consensus_rate;
+    const platforms = state.consensus.platforms.length;
 
     const consensusClass = consensusAchieved ? 'consensus-pass' : 'consensus-fail';
     const consensusIcon = consensusAchieved ? '✓' : '✗';
@@ -167,7 +1002,7 @@ function renderSummaryBar() {
   container.innerHTML = `
     <div class="summary-stats">
       <span class="stat">
-        <span class="stat-value">${stats.rate}%</span>
+        <span class="stat-value">${formatRate(stats.rate)}</span>
         <span class="stat-label">reproducible</span>
       </span>
       <span class="stat">
@@ -178,301 +1013,3446 @@ function renderSummaryBar() {
         <span class="stat-value">${stats.totalSuites}</span>
         <span class="stat-label">suites</span>
       </span>
+      ${stats.missingSuites > 0 ? `
+      <span class="stat stat-missing" title="Expected combinations with no result count as not reproducible">
+        <span class="stat-value">${stats.missingSuites}</span>
+        <span class="stat-label">missing</span>
+      </span>` : ''}
       ${consensusStat}
-      <span class="stat">
-        <span class="stat-value">${stats.avgBuildTime}s</span>
+      <span class="stat" title="${stats.measuredBuilds} of ${stats.totalSuites} builds measured">
+        <span class="stat-value">${stats.avgBuildTime !== null ? `${stats.avgBuildTime}s` : '—'}</span>
         <span class="stat-label">avg build</span>
       </span>
       <span class="stat">
-        <span class="stat-value">Serial ${state.latest.serial}</span>
-        <span class="stat-label">${formatDateShort(state.latest.timestamp)}</span>
+        <span class="stat-value">Serial ${escapeHtml(report.serial)}</span>
+        <span class="stat-label">${formatDateShort(report.timestamp)}</span>
       </span>
     </div>
+    ${renderFreshness(freshness)}
   `;
+  container.classList.toggle('summary-stale', warn);
+}
+
+/**
+ * Render per-feed freshness indicators and, when a feed is stale or
+ * verified a different serial, a warning note
+ * @param {Object} freshness - Result of checkFreshness
+ * @returns {string} HTML
+ */
+function renderFreshness(freshness) {
+  if (freshness.feeds.length === 0) return '';
+
+  const skewed = new Set(freshness.skewed.map(item => item.feed));
+  let html = '<ul class="freshness" aria-label="Data freshness">';
+  freshness.feeds.forEach(item => {
+    const warn = item.stale || skewed.has(item.feed);
+    const title = `${item.label} data from ${formatDateLong(item.timestamp)}; stale after ${item.maxAgeDays} days`;
+    html += `<li class="${warn ? 'feed-warn' : 'feed-ok'}" title="${escapeHtml(title)}">`;
+    html += `${escapeHtml(item.label)} ${item.ageDays}d old`;
+    if (item.serial) html += ` · ${escapeHtml(item.serial)}`;
+    html += '</li>';
+  });
+  html += '</ul>';
+
+  const notes = freshness.stale.map(item =>
+    `${escapeHtml(item.label)} data is ${item.ageDays} days old (stale after ${item.maxAgeDays}).`);
+  if (freshness.skewed.length > 0) {
+    const reference = freshness.feeds.find(item => item.feed === 'latest');
+    const others = freshness.skewed.map(item => `${escapeHtml(item.label.toLowerCase())} verified ${escapeHtml(item.serial)}`);
+    notes.push(`Feeds out of sync: reproduction verified serial ${escapeHtml(reference.serial)}, ${others.join(', ')}.`);
+  }
+  if (notes.length > 0) {
+    html += `<p class="freshness-note" role="alert"><strong>Data may be out of date:</strong> ${notes.join(' ')}</p>`;
+  }
+  return html;
+}
+
+/**
+ * Render filter and sort controls for the matrix and details table
+ * Options come from the current report; state lives in the query string
+ */
+function renderViewControls() {
+  const container = document.getElementById('view-controls');
+  if (!container) return;
+
+  const report = currentReport();
+  const rows = filterDetailRows(report, parseViewParams(''));
+  const archs = Array.from(new Set(rows.map(row => row.arch))).sort();
+  const suites = Array.from(new Set(rows.map(row => row.suite))).sort();
+
+  if (archs.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const checkboxes = (name, values, selected) => values.map(value => {
+    const checked = selected.includes(value) ? ' checked' : '';
+    return `<label><input type="checkbox" name="${name}" value="${escapeHtml(value)}"${checked}> ${escapeHtml(value)}</label>`;
+  }).join(' ');
+
+  const statusLabels = { all: 'all', failing: 'failing only', single: 'single-platform only', unchecked: 'no consensus result' };
+  const sortLabels = { name: 'name', status: 'status', time: 'build time' };
+  const options = (values, labels, selected) => values.map(value =>
+    `<option value="${value}"${value === selected ? ' selected' : ''}>${labels[value]}</option>`
+  ).join('');
+
+  let html = `<fieldset><legend>Architecture</legend>${checkboxes('arch', archs, state.view.archs)}</fieldset>`;
+  html += `<fieldset><legend>Suite</legend>${checkboxes('suite', suites, state.view.suites)}</fieldset>`;
+  html += `<label>Status <select id="view-status">${options(VIEW_STATUS_FILTERS, statusLabels, state.view.status)}</select></label>`;
+  html += `<label>Sort <select id="view-sort">${options(VIEW_SORT_KEYS, sortLabels, state.view.sort)}</select></label>`;
+  html += `<button type="button" id="view-dir" aria-label="Toggle sort direction">${state.view.dir === 'asc' ? '▲ asc' : '▼ desc'}</button>`;
+  if (serializeViewParams(state.view)) {
+    html += ' <button type="button" id="view-reset">reset</button>';
+  }
+
+  container.innerHTML = html;
+
+  const checked = name => Array.from(container.querySelectorAll(`input[name="${name}"]:checked`)).map(input => input.value);
+  container.querySelectorAll('input[name="arch"]').forEach(input => {
+    input.addEventListener('change', () => setView({ archs: checked('arch') }));
+  });
+  container.querySelectorAll('input[name="suite"]').forEach(input => {
+    input.addEventListener('change', () => setView({ suites: checked('suite') }));
+  });
+  container.querySelector('#view-status').addEventListener('change', event => setView({ status: event.target.value }));
+  container.querySelector('#view-sort').addEventListener('change', event => setView({ sort: event.target.value }));
+  container.querySelector('#view-dir').addEventListener('click', () => {
+    setView({ dir: state.view.dir === 'asc' ? 'desc' : 'asc' });
+  });
+  const reset = container.querySelector('#view-reset');
+  if (reset) reset.addEventListener('click', () => setView(parseViewParams('')));
+}
+
+/**
+ * Render status matrix table (primary data display)
+ * Shows architecture × suite grid with status, build time, and sparklines
+ */
+function renderStatusMatrix() {
+  const container = document.getElementById('matrix-table');
+  const report = currentReport();
+  const archs = report.architectures;
+
+  if (!report.hasData) {
+    container.innerHTML = '<p>No verification data available yet.</p>';
+    return;
+  }
+
+  // Apply architecture/suite/status filters and row sort from state.view
+  const { archKeys, suites } = visibleMatrix(report, state.view);
+  if (archKeys.length === 0) {
+    container.innerHTML = '<p>No results match the current filters.</p>';
+    return;
+  }
+
+  const stability = indexStability(calculateStability(historyWindow()));
+  const serialGroup = groupRunsBySerial(historyWindow()).find(group => group.serial === report.serial);
+  const missing = findMissingCoverage(report);
+  const isMissing = (arch, suite) => missing.some(cell => cell.arch === arch && cell.suite === suite);
+
+  // Build table header
+  let html = '<table class="matrix"><thead><tr>';
+  html += '<th scope="col">Architecture</th>';
+  suites.forEach(suite => {
+    html += `<th scope="col"><a href="${routeHash({ view: 'suite', name: suite }, state.selectedRunId)}">${escapeHtml(suite)}</a></th>`;
+  });
+  html += '<th scope="col">Success Rate</th>';
+  html += '</tr></thead><tbody>';
+
+  // Build table rows (one per architecture)
+  archKeys.forEach(arch => {
+    const archData = archs[arch];
+
+    html += `<tr><th scope="row"><a href="${routeHash({ view: 'arch', name: arch }, state.selectedRunId)}">${escapeHtml(arch)}</a></th>`;
+
+    // Suite cells
+    suites.forEach(suite => {
+      const suiteData = archData?.suites[suite];
+      if (suiteData) {
+        const cellClass = suiteData.reproducible ? 'cell-pass' : 'cell-fail';
+        const status = suiteData.reproducible ? '✓' : '✗';
+        const time = suiteData.build_time_seconds;
+        const sparkline = renderInlineSparkline(arch, suite);
+        const cellStability = stability[`${arch}/${suite}`];
+        const rebuilds = serialGroup && findSerialCell(serialGroup, arch, suite);
+
+        html += `<td class="${cellClass}">
+          <div class="cell-content">
+            <span class="cell-status">${status}</span>
+            ${time !== null ? `<span class="cell-time">${escapeHtml(time)}s</span>` : ''}
+            ${sparkline}
+            ${cellStability?.runs >= 2 ? renderStabilityLabel(cellStability) : ''}
+            ${rebuilds?.sameChecksum === false ? `<span class="cell-rebuilds" title="${rebuilds.checksums.length} different checksums across ${rebuilds.rebuilds} rebuilds of serial ${escapeHtml(report.serial)}">≠ rebuilds</span>` : ''}
+          </div>
+        </td>`;
+      } else if (isMissing(arch, suite)) {
+        html += '<td class="cell-missing" title="Expected combination has no result">missing/failed to run</td>';
+      } else {
+        html += '<td class="cell-na">—</td>';
+      }
+    });
+
+    // Architecture success rate (missing expected suites count against it)
+    const archStats = calculateArchStats(archData, missing.filter(cell => cell.arch === arch).length);
+    html += `<td>${formatRate(archStats.rate)}</td>`;
+    html += '</tr>';
+  });
+
+  // Summary footer row
+  html += '</tbody><tfoot><tr>';
+  html += '<td>Overall</td>';
+  suites.forEach(suite => {
+    const suiteStats = calculateSuiteStats(suite, archs, missing.filter(cell => cell.suite === suite).length);
+    html += `<td>${formatRate(suiteStats.rate)}</td>`;
+  });
+  const overallStats = calculateStats(report);
+  html += `<td>${formatRate(overallStats.rate)}</td>`;
+  html += '</tr></tfoot></table>';
+
+  container.innerHTML = html;
+}
+
+/**
+ * Render details table showing our and official SHA256 checksums side by side
+ * (differing characters highlighted, one-click copy) and build times
+ * with inline bar charts for build duration comparison
+ */
+function renderDetailsTable() {
+  const container = document.getElementById('details-content');
+  const report = currentReport();
+
+  if (!report.hasData) {
+    container.innerHTML = '<p>No details available.</p>';
+    return;
+  }
+
+  const rows = sortDetailRows(filterDetailRows(report, state.view), state.view);
+  if (rows.length === 0) {
+    container.innerHTML = '<p>No results match the current filters.</p>';
+    return;
+  }
+
+  // Find max build time for bar chart scaling
+  let maxBuildTime = 0;
+  rows.forEach(({ data }) => {
+    if (data && data.build_time_seconds !== null) maxBuildTime = Math.max(maxBuildTime, data.build_time_seconds);
+  });
+
+  // Build table (sortable columns are header buttons)
+  const sortHeader = (key, label) => {
+    const active = state.view.sort === key;
+    const ariaSort = active ? ` aria-sort="${state.view.dir === 'asc' ? 'ascending' : 'descending'}"` : '';
+    const arrow = active ? (state.view.dir === 'asc' ? ' ▲' : ' ▼') : '';
+    return `<th scope="col"${ariaSort}><button type="button" class="sort-header" data-sort="${key}">${label}${arrow}</button></th>`;
+  };
+
+  let html = '<table><thead><tr>';
+  html += sortHeader('name', 'Architecture');
+  html += '<th scope="col">Suite</th>';
+  html += sortHeader('status', 'Status');
+  html += '<th scope="col">Checksums (ours / official)</th>';
+  html += '<th scope="col">Match</th>';
+  html += sortHeader('time', 'Build Time');
+  html += '</tr></thead><tbody>';
+
+  let previousArch = null;
+  rows.forEach(({ arch, suite, data }) => {
+    if (!data) {
+      html += '<tr>';
+      html += `<td>${arch !== previousArch ? escapeHtml(arch) : ''}</td>`;
+      previousArch = arch;
+      html += `<td>${escapeHtml(suite)}</td>`;
+      html += '<td class="cell-missing">missing/failed to run</td>';
+      html += '<td class="checksums"><span class="cell-na">no result</span></td>';
+      html += '<td class="cell-na">—</td>';
+      html += '<td class="cell-na">—</td>';
+      html += '</tr>';
+      return;
+    }
+
+    const status = data.reproducible ? '✓ Reproducible' : '✗ Not Reproducible';
+    const statusClass = data.reproducible ? 'cell-pass' : 'cell-fail';
+    const sha = data.sha256;
+    const official = data.official_sha256;
+    const match = compareChecksums(sha, official);
+    const buildTime = data.build_time_seconds;
+    const barWidth = maxBuildTime > 0 ? (buildTime / maxBuildTime) * 100 : 0;
+    const timeCell = buildTime !== null
+      ? `<div class="build-time">
+        <span class="time-value">${escapeHtml(buildTime)}s</span>
+        <div class="time-bar" style="width: ${barWidth}%"></div>
+      </div>`
+      : '<span class="cell-na">not measured</span>';
+
+    html += '<tr>';
+    html += `<td>${arch !== previousArch ? escapeHtml(arch) : ''}</td>`;
+    previousArch = arch;
+    html += `<td>${escapeHtml(suite)}</td>`;
+    html += `<td class="${statusClass}">${status}</td>`;
+    html += `<td class="checksums">
+      ${renderChecksumLine('ours', sha, official)}
+      ${renderChecksumLine('official', official, sha)}
+    </td>`;
+    html += `<td class="${match.className}" title="${match.title}">${match.symbol}</td>`;
+    html += `<td>${timeCell}</td>`;
+    html += '</tr>';
+  });
+
+  html += '</tbody></table>';
+  container.innerHTML = html;
+  bindCopyButtons(container);
+
+  container.querySelectorAll('.sort-header').forEach(button => {
+    button.addEventListener('click', () => {
+      const key = button.dataset.sort;
+      const dir = state.view.sort === key && state.view.dir === 'asc' ? 'desc' : 'asc';
+      setView({ sort: key, dir });
+    });
+  });
+}
+
+/**
+ * Render one labelled checksum with differing characters highlighted
+ * @param {string} label - Line label (ours, official)
+ * @param {string} sha - Checksum to display
+ * @param {string} other - Checksum it is compared against
+ * @returns {string} HTML string
+ */
+function renderChecksumLine(label, sha, other) {
+  if (!sha) {
+    return `<div class="checksum-line"><span class="checksum-label">${label}</span> <span class="cell-na">not available</span></div>`;
+  }
+
+  return `<div class="checksum-line">
+    <span class="checksum-label">${label}</span>
+    <code class="sha256-full">${highlightChecksumDiff(sha, other)}</code>
+    <button type="button" class="copy-sha" data-copy="${escapeHtml(sha)}" aria-label="Copy ${label} SHA256">copy</button>
+  </div>`;
+}
+
+/**
+ * Attach clipboard handlers to copy buttons within a container
+ * @param {HTMLElement} container - Element containing .copy-sha buttons
+ */
+function bindCopyButtons(container) {
+  container.querySelectorAll('.copy-sha').forEach(button => {
+    button.addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(button.dataset.copy);
+        button.textContent = 'copied';
+      } catch (error) {
+        console.warn('Clipboard unavailable:', error.message);
+        button.textContent = 'copy failed';
+      }
+    });
+  });
+}
+
+/**
+ * Render build environment of the current report, what changed since the
+ * previous run, and every environment change across history
+ */
+function renderEnvironmentPanel() {
+  const container = document.getElementById('environment-content');
+  if (!container) return;
+
+  const report = currentReport();
+  const env = report.environment;
+  if (!hasEnvironment(env)) {
+    container.innerHTML = '<p>No build environment recorded for this run.</p>';
+    return;
+  }
+
+  const gha = env.github_actions || {};
+  const sha = env.git?.sha;
+  const text = value => escapeHtml(value || '—');
+  const link = path => escapeHtml(`${REPO_URL}/${path}`);
+  const rows = [
+    ['OS', escapeHtml(`${env.os.name || ''} ${env.os.version || ''}`.trim())],
+    ['Kernel', `${text(env.os.kernel)} (${text(env.os.arch)})`],
+    ['Docker', text(env.docker)],
+    ['QEMU', text(env.qemu)],
+    ['Git', text(env.git?.version)],
+    ['Commit', sha
+      ? `<a href="${link(`commit/${encodeURIComponent(sha)}`)}"><code>${escapeHtml(String(sha).substring(0, 12))}</code></a> on ${text(env.git.branch)}`
+      : '—'],
+    ['Runner', `${text(gha.runner_name)} (${text(gha.runner_os)}/${text(gha.runner_arch)})`],
+    ['CI run', gha.run_id
+      ? `<a href="${link(`actions/runs/${encodeURIComponent(gha.run_id)}`)}">${escapeHtml(gha.workflow || 'run')} #${escapeHtml(gha.run_number || gha.run_id)}</a>`
+      : '—']
+  ];
+
+  let html = '<table class="env-table"><tbody>';
+  rows.forEach(([label, value]) => {
+    html += `<tr><th scope="row">${label}</th><td>${value}</td></tr>`;
+  });
+  html += '</tbody></table>';
+
+  const history = historyWindow();
+  const drift = detectEnvironmentDrift(history);
+  const idx = history.findIndex(r => String(r.run_id) === String(report.run_id));
+  const previous = idx > 0 ? history[idx - 1] : null;
+
+  if (previous) {
+    const changes = diffEnvironment(previous.environment, env, ENV_DRIFT_IGNORED);
+    const previousSha = previous.environment?.git?.sha;
+    html += `<h3>Since previous run <span class="env-note">(serial ${escapeHtml(previous.serial)}, run ${escapeHtml(previous.run_id)})</span></h3>`;
+    if (changes === null) {
+      html += `<p class="env-note">No environment recorded for run ${escapeHtml(previous.run_id)}.</p>`;
+    } else {
+      html += changes.length > 0
+        ? `<ul class="env-changes">${changes.map(renderEnvironmentChange).join('')}</ul>`
+        : '<p class="env-note">No environment changes.</p>';
+    }
+    if (sha && previousSha && sha !== previousSha) {
+      html += `<p class="env-note"><a href="${link(`compare/${encodeURIComponent(previousSha)}...${encodeURIComponent(sha)}`)}">Commits since previous run</a></p>`;
+    }
+  }
+
+  if (drift.length > 0) {
+    html += '<h3>Environment changes across history</h3>';
+    html += '<table class="env-drift"><thead><tr>';
+    html += '<th scope="col">Date</th>';
+    html += '<th scope="col">Run</th>';
+    html += '<th scope="col">Changes</th>';
+    html += '<th scope="col">Reproducible</th>';
+    html += '</tr></thead><tbody>';
+    drift.slice().reverse().forEach(entry => {
+      const dropped = entry.rate !== null && entry.previousRate !== null && entry.rate < entry.previousRate;
+      html += '<tr>';
+      html += `<td>${formatDateShort(entry.timestamp)}</td>`;
+      html += `<td>${escapeHtml(entry.serial)} · run ${escapeHtml(entry.run_id)}</td>`;
+      html += `<td><ul class="env-changes">${entry.changes.map(renderEnvironmentChange).join('')}</ul></td>`;
+      html += `<td class="${dropped ? 'cell-fail' : ''}">${formatRate(entry.previousRate)} → ${formatRate(entry.rate)}</td>`;
+      html += '</tr>';
+    });
+    html += '</tbody></table>';
+  }
+
+  container.innerHTML = html;
+}
+
+/**
+ * Render one environment change as a list item
+ * @param {{field: string, from: *, to: *}} change - Change from diffEnvironment()
+ * @returns {string} HTML string
+ */
+function renderEnvironmentChange(change) {
+  const label = ENV_FIELD_LABELS[change.field] || change.field;
+  return `<li><span class="env-field">${escapeHtml(label)}</span>: ${escapeHtml(change.from ?? '—')} → ${escapeHtml(change.to ?? '—')}</li>`;
+}
+
+/**
+ * Render reproducibility trend charts over a selectable time window
+ * Overall, per-architecture and per-suite rates share one time axis
+ * (small multiples); runs are bucketed by UTC day of their timestamp
+ */
+function renderHistoryTrends() {
+  const container = document.getElementById('history-trends');
+  if (!container) return;
+
+  const history = historyWindow();
+  if (history.length < 2) {
+    container.innerHTML = '<p>Historical data will appear after multiple builds.</p>';
+    return;
+  }
+
+  const { start, end } = trendWindowRange(history, state.trendWindow, currentReport().timestamp);
+  const series = calculateTrendSeries(history, start, end, state.historyGroup);
+
+  let html = '<div class="trend-controls" role="group" aria-label="Trend window">';
+  TREND_WINDOWS.forEach(win => {
+    const pressed = win.key === state.trendWindow;
+    html += `<button type="button" data-window="${win.key}" aria-pressed="${pressed}">${win.label}</button>`;
+  });
+  html += '</div>';
+  html += '<div class="trend-controls" role="group" aria-label="Group history">';
+  HISTORY_GROUPS.forEach(group => {
+    const pressed = group.key === state.historyGroup;
+    html += `<button type="button" data-group="${group.key}" aria-pressed="${pressed}">${group.label}</button>`;
+  });
+  html += '</div>';
+
+  html += '<div class="trend-charts">';
+  html += `<div class="trend-axis"><span>${formatDateShort(new Date(start).toISOString())}</span><span>${formatDateShort(new Date(end).toISOString())}</span></div>`;
+  html += renderTrendRow('overall', series.overall, start, end);
+  Object.keys(series.archs).sort().forEach(arch => {
+    html += renderTrendRow(arch, series.archs[arch], start, end);
+  });
+  Object.keys(series.suites).sort().forEach(suite => {
+    html += renderTrendRow(suite, series.suites[suite], start, end);
+  });
+  html += '</div>';
+
+  container.innerHTML = html;
+
+  container.querySelectorAll('.trend-controls button[data-window]').forEach(button => {
+    button.addEventListener('click', () => {
+      state.trendWindow = button.dataset.window;
+      renderHistoryTrends();
+    });
+  });
+  // Grouping also applies to the matrix sparklines
+  container.querySelectorAll('.trend-controls button[data-group]').forEach(button => {
+    button.addEventListener('click', () => {
+      state.historyGroup = button.dataset.group;
+      renderHistoryTrends();
+      renderStatusMatrix();
+    });
+  });
+}
+
+/**
+ * Render one labelled trend chart row
+ * @param {string} label - Series label (overall, architecture or suite)
+ * @param {Array<Object>} points - Points from calculateTrendSeries()
+ * @param {number} start - Window start (ms)
+ * @param {number} end - Window end (ms)
+ * @returns {string} HTML string
+ */
+function renderTrendRow(label, points, start, end) {
+  const latest = points[points.length - 1];
+  return `
+    <div class="trend-row">
+      <span class="sparkline-label">${escapeHtml(label)}</span>
+      ${generateTrendSVG(points, start, end)}
+      <span class="sparkline-value">${latest ? `${latest.rate}%` : '—'}</span>
+    </div>
+  `;
+}
+
+/**
+ * Generate a trend chart SVG on a shared time axis with a fixed 0–100% scale
+ * Each point carries a <title> tooltip with its runs and values
+ * @param {Array<Object>} points - Points from calculateTrendSeries()
+ * @param {number} start - Window start (ms)
+ * @param {number} end - Window end (ms)
+ * @param {number} [width=600] - SVG width in pixels
+ * @param {number} [height=32] - SVG height in pixels
+ * @returns {string} SVG HTML string
+ */
+function generateTrendSVG(points, start, end, width = 600, height = 32) {
+  const span = Math.max(end - start, 1);
+  const pad = 3;
+  const x = time => ((time - start) / span) * width;
+  const y = rate => height - pad - (rate / 100) * (height - pad * 2);
+
+  const coords = points.map(point => `${x(point.time).toFixed(1)},${y(point.rate).toFixed(1)}`).join(' ');
+  const dots = points.map(point => {
+    const runs = point.serial
+      ? point.runs.map(run => `run ${run.run_id}`).join(', ')
+      : point.runs.map(run => `run ${run.run_id} (serial ${run.serial})`).join(', ');
+    const heading = point.serial ? `serial ${point.serial}` : point.day;
+    const tip = `${heading}: ${point.rate}% (${point.reproducible}/${point.total}) · ${runs}`;
+    return `<circle cx="${x(point.time).toFixed(1)}" cy="${y(point.rate).toFixed(1)}" r="2.5"><title>${escapeHtml(tip)}</title></circle>`;
+  }).join('');
+
+  const unit = points.some(point => point.serial) ? 'serials' : 'days';
+  return `
+    <svg class="trend-chart" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="${points.length} ${unit} with data">
+      <line class="trend-baseline" x1="0" y1="${y(100)}" x2="${width}" y2="${y(100)}" />
+      ${points.length > 1 ? `<polyline points="${coords}" fill="none" stroke="currentColor" stroke-width="1.5" vector-effect="non-scaling-stroke" />` : ''}
+      ${dots}
+    </svg>
+  `;
+}
+
+/**
+ * Render the calendar heatmap of the full history: one cell per day,
+ * coloured by that day's reproducibility rate; a day's runs open on click
+ */
+function renderCalendarPanel() {
+  const container = document.getElementById('calendar-content');
+  if (!container) return;
+
+  const weeks = calculateCalendar(state.history);
+  if (weeks.length === 0) {
+    container.innerHTML = '<p>No runs recorded yet.</p>';
+    return;
+  }
+
+  const monthOf = date => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', timeZone: 'UTC' });
+  let html = '<table class="calendar-grid"><thead><tr><td></td>';
+  let previousMonth = null;
+  weeks.forEach(week => {
+    const month = monthOf(week.find(Boolean).date);
+    html += `<th scope="col">${month !== previousMonth ? month : ''}</th>`;
+    previousMonth = month;
+  });
+  html += '</tr></thead><tbody>';
+
+  CALENDAR_WEEKDAYS.forEach((weekday, dayIdx) => {
+    html += `<tr><th scope="row">${weekday}</th>`;
+    weeks.forEach(week => {
+      const day = week[dayIdx];
+      if (!day) {
+        html += '<td></td>';
+        return;
+      }
+
+      const date = formatCalendarDate(day.date);
+      if (day.runs.length === 0) {
+        html += `<td class="day day-none" title="${date}: no run"></td>`;
+        return;
+      }
+
+      const label = `${date}: ${formatRate(day.rate)} reproducible, ${day.runs.length} run${day.runs.length === 1 ? '' : 's'}`;
+      const pressed = day.date === state.calendarDay;
+      html += `<td class="day ${calendarLevel(day.rate)}"><button type="button" data-day="${day.date}" aria-pressed="${pressed}" aria-label="${label}" title="${label}"></button></td>`;
+    });
+    html += '</tr>';
+  });
+  html += '</tbody></table>';
+
+  html += '<ul class="calendar-legend">';
+  CALENDAR_LEVELS.forEach(level => {
+    html += `<li><span class="day ${level.className}"></span>${level.label}</li>`;
+  });
+  html += '<li><span class="day day-nodata"></span>no results</li>';
+  html += '<li><span class="day day-none"></span>no run</li>';
+  html += '</ul>';
+
+  const selected = weeks.flat().find(day => day && day.date === state.calendarDay && day.runs.length > 0);
+  if (selected) html += renderCalendarDay(selected);
+
+  container.innerHTML = html;
+
+  container.querySelectorAll('button[data-day]').forEach(button => {
+    button.addEventListener('click', () => {
+      const day = button.dataset.day;
+      state.calendarDay = state.calendarDay === day ? null : day;
+      renderCalendarPanel();
+      container.querySelector(`button[data-day="${day}"]`).focus();
+    });
+  });
+}
+
+/**
+ * Render the runs of one calendar day, each linking to its time-travel view
+ * @param {{date: string, runs: Array<Object>}} day - Calendar day with runs
+ * @returns {string} HTML
+ */
+function renderCalendarDay(day) {
+  const items = day.runs.map(run => {
+    const rateClass = run.rate === null ? 'cell-na' : (run.rate === 100 ? 'cell-pass' : 'cell-fail');
+    return `<li>
+      <a href="${routeHash(state.route, run.run_id)}">${formatDateLong(run.timestamp)}</a>
+      · serial ${escapeHtml(run.serial || 'unknown')}
+      · <span class="${rateClass}">${formatRate(run.rate)}</span>
+      · run ${escapeHtml(run.run_id)}
+    </li>`;
+  }).join('');
+
+  return `<div class="calendar-day">
+    <h3>Runs on ${formatCalendarDate(day.date)}</h3>
+    <ul>${items}</ul>
+  </div>`;
+}
+
+/**
+ * Render history grouped by serial, newest first: runs, first and last
+ * verification, and per-combination rebuild counts. Serials whose rebuilds
+ * produced different checksums are flagged and expanded.
+ */
+function renderSerialPanel() {
+  const container = document.getElementById('serials-content');
+  if (!container) return;
+
+  const groups = groupRunsBySerial(historyWindow());
+  if (groups.length === 0) {
+    container.innerHTML = '<p>Rebuilds will appear once history is available.</p>';
+    return;
+  }
+
+  const runs = groups.reduce((sum, group) => sum + group.runs.length, 0);
+  const differing = groups.filter(group => group.differing > 0).length;
+  let html = `<p class="serials-note">${runs} runs of ${groups.length} serials. `;
+  html += differing > 0
+    ? `<strong class="cell-fail">${differing} serial${differing === 1 ? '' : 's'} produced different checksums on rebuild.</strong>`
+    : 'No rebuild produced a checksum different from an earlier run of its serial.';
+  html += '</p>';
+
+  html += '<table class="serials"><thead><tr>';
+  html += '<th scope="col">Serial</th>';
+  html += '<th scope="col">Runs</th>';
+  html += '<th scope="col">First verified</th>';
+  html += '<th scope="col">Last verified</th>';
+  html += '<th scope="col">Rebuilds</th>';
+  html += '<th scope="col">Combinations</th>';
+  html += '</tr></thead><tbody>';
+
+  groups.slice().reverse().forEach(group => {
+    let rebuilds = '<td class="cell-pass">✓ same checksums</td>';
+    if (group.differing > 0) {
+      rebuilds = `<td class="cell-fail">✗ ${group.differing} differ</td>`;
+    } else if (group.rebuilt === 0) {
+      rebuilds = '<td class="cell-na">not rebuilt</td>';
+    }
+
+    html += '<tr>';
+    html += `<th scope="row">${escapeHtml(group.serial)}</th>`;
+    html += `<td>${group.runs.length}</td>`;
+    html += `<td>${formatDateLong(group.firstVerified)}</td>`;
+    html += `<td>${group.runs.length > 1 ? formatDateLong(group.lastVerified) : '—'}</td>`;
+    html += rebuilds;
+    html += `<td>${group.cells.length > 0 ? renderSerialCells(group) : '<span class="cell-na">no results</span>'}</td>`;
+    html += '</tr>';
+  });
+
+  html += '</tbody></table>';
+  container.innerHTML = html;
+}
+
+/**
+ * Render a serial's combinations as an expandable list; expanded when
+ * rebuilds disagree
+ * @param {Object} group - Entry from groupRunsBySerial()
+ * @returns {string} HTML string
+ */
+function renderSerialCells(group) {
+  const items = group.cells.map(cell => {
+    let text = `${escapeHtml(cell.arch)}/${escapeHtml(cell.suite)} ×${cell.rebuilds} · ${cell.reproducible}/${cell.rebuilds} reproducible`;
+    if (cell.sameChecksum === false) {
+      text += ` · ${cell.checksums.length} checksums: ${cell.checksums.map(sha => `<code class="sha256-full">${escapeHtml(sha)}</code>`).join(' ')}`;
+    }
+    return `<li class="${cell.sameChecksum === false ? 'cell-fail' : ''}">${text}</li>`;
+  }).join('');
+
+  return `<details${group.differing > 0 ? ' open' : ''}>
+    <summary>${group.cells.length} combinations, ${group.rebuilt} rebuilt</summary>
+    <ul class="serial-cells">${items}</ul>
+  </details>`;
+}
+
+/**
+ * Render stability label for a matrix cell, with its metrics as a tooltip
+ * @param {Object} stats - Cell metrics from calculateCellStability()
+ * @returns {string} HTML string
+ */
+function renderStabilityLabel(stats) {
+  const lastFailure = stats.lastFailure ? `last failure ${formatDateShort(stats.lastFailure)}` : 'no failures';
+  const title = `${stats.flips} flip${stats.flips === 1 ? '' : 's'}, ${stats.passRate}% over ${stats.runs} runs, ${lastFailure}`;
+  return `<span class="cell-stability stability-${stats.label}" title="${title}">${stats.label}</span>`;
+}
+
+/**
+ * Render ranked list of the least stable architecture/suite combinations
+ * over the last STABILITY_RUNS runs
+ */
+function renderStabilityPanel() {
+  const container = document.getElementById('stability-content');
+  if (!container) return;
+
+  const history = historyWindow();
+  if (history.length < 2) {
+    container.innerHTML = '<p>Stability metrics will appear after multiple builds.</p>';
+    return;
+  }
+
+  const ranked = rankUnstable(calculateStability(history));
+  if (ranked.length === 0) {
+    container.innerHTML = `<p>All combinations stable over the last ${STABILITY_RUNS} runs.</p>`;
+    return;
+  }
+
+  let html = '<table class="stability-ranking"><thead><tr>';
+  html += '<th scope="col">#</th>';
+  html += '<th scope="col">Combination</th>';
+  html += '<th scope="col">Stability</th>';
+  html += '<th scope="col">Flips</th>';
+  html += '<th scope="col">Current streak</th>';
+  html += '<th scope="col">Last failure</th>';
+  html += '<th scope="col">Pass rate</th>';
+  html += '</tr></thead><tbody>';
+
+  ranked.slice(0, UNSTABLE_LIST_LIMIT).forEach((stats, idx) => {
+    const streak = `${stats.streak.length} × ${stats.streak.reproducible ? '✓' : '✗'}`;
+    html += '<tr>';
+    html += `<td>${idx + 1}</td>`;
+    html += `<th scope="row">${escapeHtml(stats.arch)}/${escapeHtml(stats.suite)}</th>`;
+    html += `<td class="stability-${stats.label}">${stats.label}</td>`;
+    html += `<td>${stats.flips}</td>`;
+    html += `<td class="${stats.streak.reproducible ? 'cell-pass' : 'cell-fail'}">${streak}</td>`;
+    html += `<td>${stats.lastFailure ? formatDateShort(stats.lastFailure) : '—'}</td>`;
+    html += `<td>${stats.passRate}% (${stats.passes}/${stats.runs})</td>`;
+    html += '</tr>';
+  });
+
+  html += '</tbody></table>';
+  container.innerHTML = html;
+}
+
+/**
+ * Render build-time analytics per architecture/suite
+ * Median, p90 and latest measured time, plus runs flagged as much slower
+ * than their rolling baseline
+ */
+function renderBuildTimePanel() {
+  const container = document.getElementById('build-times-content');
+  if (!container) return;
+
+  const cells = calculateBuildTimeStats(historyWindow());
+  if (cells.length === 0) {
+    container.innerHTML = '<p>No build times measured yet.</p>';
+    return;
+  }
+
+  const slowest = cells.filter(cell => cell.latestSlow).length;
+  let html = `<p class="build-times-note">${slowest} combination${slowest === 1 ? '' : 's'} slower than baseline in the latest run · baseline is the median of up to ${BUILD_BASELINE_RUNS} previous measured builds; slow means over ${BUILD_SLOWDOWN_FACTOR}×</p>`;
+  html += '<table class="build-times"><thead><tr>';
+  html += '<th scope="col">Architecture</th>';
+  html += '<th scope="col">Suite</th>';
+  html += '<th scope="col">Latest</th>';
+  html += '<th scope="col">Median</th>';
+  html += '<th scope="col">p90</th>';
+  html += '<th scope="col">Measured</th>';
+  html += '<th scope="col">Slow runs</th>';
+  html += '</tr></thead><tbody>';
+
+  cells.forEach(cell => {
+    const latest = cell.latest === null ? '<span class="cell-na">not measured</span>' : `${escapeHtml(cell.latest)}s`;
+    const slowRuns = cell.slowRuns.map(run =>
+      `<span title="run ${escapeHtml(run.run_id)}: ${escapeHtml(run.seconds)}s vs ${escapeHtml(run.baseline)}s baseline">${formatDateShort(run.timestamp)} (${(run.seconds / run.baseline).toFixed(1)}×)</span>`
+    ).join(', ');
+
+    html += '<tr>';
+    html += `<td>${escapeHtml(cell.arch)}</td>`;
+    html += `<td>${escapeHtml(cell.suite)}</td>`;
+    html += `<td class="${cell.latestSlow ? 'cell-warn' : ''}">${latest}</td>`;
+    html += `<td>${escapeHtml(cell.median)}s</td>`;
+    html += `<td>${escapeHtml(cell.p90)}s</td>`;
+    html += `<td>${cell.measured} of ${cell.runs}</td>`;
+    html += `<td>${slowRuns || '—'}</td>`;
+    html += '</tr>';
+  });
+
+  html += '</tbody></table>';
+  container.innerHTML = html;
+}
+
+/**
+ * Render run comparison panel
+ * Lists differences between two runs from history; defaults to the current
+ * report against the run before it
+ */
+function renderComparePanel() {
+  const container = document.getElementById('compare-content');
+  if (!container) return;
+
+  if (state.history.length < 2) {
+    container.innerHTML = '<p>Run comparison needs at least two runs in history.</p>';
+    return;
+  }
+
+  const findRun = runId => state.history.find(r => String(r.run_id) === runId);
+  const target = (state.compare.target && findRun(state.compare.target)) || currentReport();
+  // Default base is the run before the target; the oldest run has none
+  let base = state.compare.base && findRun(state.compare.base);
+  if (!base) {
+    const idx = state.history.findIndex(r => String(r.run_id) === String(target.run_id));
+    base = idx === -1 ? state.history[state.history.length - 2] : state.history[idx - 1] || null;
+  }
+
+  const options = selectedId => {
+    const placeholder = selectedId === null ? '<option value="" selected>—</option>' : '';
+    return placeholder + state.history.slice().reverse().map(report => {
+      const runId = String(report.run_id);
+      const selected = runId === selectedId ? ' selected' : '';
+      return `<option value="${escapeHtml(runId)}"${selected}>${escapeHtml(report.serial)} · ${formatDateShort(report.timestamp)} · run ${escapeHtml(runId)}</option>`;
+    }).join('');
+  };
+
+  let html = '<div class="compare-controls">';
+  html += `<label>From <select id="compare-base">${options(base ? String(base.run_id) : null)}</select></label> `;
+  html += `<label>To <select id="compare-target">${options(String(target.run_id))}</select></label>`;
+  html += '</div>';
+
+  if (!base) {
+    html += `<p>No earlier run to compare with run ${escapeHtml(target.run_id)}; pick one under From.</p>`;
+  } else if (String(base.run_id) === String(target.run_id)) {
+    html += '<p>Pick two different runs to compare.</p>';
+  } else {
+    const diff = diffReports(base, target);
+    html += countDifferences(diff) === 0 ? '<p>No differences between these runs.</p>' : renderDiffList(diff);
+  }
+
+  container.innerHTML = html;
+
+  container.querySelector('#compare-base').addEventListener('change', event => {
+    state.compare.base = event.target.value;
+    state.compare.target = String(target.run_id);
+    renderComparePanel();
+  });
+  container.querySelector('#compare-target').addEventListener('change', event => {
+    state.compare.target = event.target.value;
+    state.compare.base = base ? String(base.run_id) : null;
+    renderComparePanel();
+  });
+}
+
+/**
+ * Render grouped list of differences between two runs
+ * @param {Object} diff - Result of diffReports()
+ * @returns {string} HTML string
+ */
+function renderDiffList(diff) {
+  const slice = item => `${escapeHtml(item.arch)}/${escapeHtml(item.suite)}`;
+  const shortSha = sha => (sha ? `${escapeHtml(String(sha).substring(0, 12))}…` : 'none');
+  const groups = [
+    ['Status changes', diff.statusFlips.map(item =>
+      `<li class="${item.to ? 'cell-pass' : 'cell-fail'}">${slice(item)}: ${item.from ? '✓' : '✗'} → ${item.to ? '✓' : '✗'}</li>`)],
+    ['Checksum changes', diff.checksumChanges.map(item =>
+      `<li>${slice(item)} ${item.field}: <code title="${escapeHtml(item.from)}">${shortSha(item.from)}</code> → <code title="${escapeHtml(item.to)}">${shortSha(item.to)}</code></li>`)],
+    ['Coverage changes', [
+      ...diff.archsAdded.map(arch => `<li>+ ${escapeHtml(arch)} added</li>`),
+      ...diff.archsRemoved.map(arch => `<li>− ${escapeHtml(arch)} removed</li>`),
+      ...diff.suitesAdded.map(item => `<li>+ ${slice(item)} added</li>`),
+      ...diff.suitesRemoved.map(item => `<li>− ${slice(item)} removed</li>`)
+    ]],
+    ['Serial / epoch', diff.meta.map(item => `<li>${item.field}: ${escapeHtml(item.from)} → ${escapeHtml(item.to)}</li>`)],
+    ['Build time', diff.buildTimeDeltas.map(item =>
+      `<li>${slice(item)}: ${escapeHtml(item.from)}s → ${escapeHtml(item.to)}s (${item.delta > 0 ? '+' : ''}${escapeHtml(item.delta)}s)</li>`)],
+    ['Environment', [
+      ...diff.environmentUnrecorded.map(runId => `<li>No environment recorded for run ${escapeHtml(runId)}</li>`),
+      ...diff.environment.map(item =>
+        `<li>${escapeHtml(item.field)}: ${escapeHtml(item.from ?? '—')} → ${escapeHtml(item.to ?? '—')}</li>`)
+    ]]
+  ];
+
+  return groups
+    .filter(([, items]) => items.length > 0)
+    .map(([title, items]) => `<div class="diff-group"><h3>${title}</h3><ul>${items.join('')}</ul></div>`)
+    .join('');
+}
+
+/**
+ * Render consensus drill-down panel
+ * Shows architecture × suite grid of platform agreement; each cell expands
+ * to list every platform's checksum with dissenting values highlighted
+ */
+function renderConsensusPanel() {
+  const container = document.getElementById('consensus-content');
+  if (!container) return;
+
+  const picker = renderConsensusPicker();
+  const report = currentConsensusReport();
+  if (!report || !Array.isArray(report.comparisons) || report.comparisons.length === 0) {
+    container.innerHTML = picker + '<p>Consensus data not yet available.</p>';
+    bindConsensusPicker(container);
+    return;
+  }
+
+  const { archs, suites, grid } = indexConsensusComparisons(report.comparisons);
+  const platforms = report.platforms;
+  const singleCount = report.comparisons.filter(c => classifyConsensusComparison(c) === 'single').length;
+  const achieved = report.consensus.achieved;
+
+  let html = picker;
+  html += '<p class="consensus-meta">';
+  html += `<span class="${achieved ? 'cell-pass' : 'cell-fail'}">${achieved ? '✓ consensus' : '✗ no consensus'}</span> · `;
+  html += `${escapeHtml(report.summary?.consensus_achieved ?? 0)}/${escapeHtml(report.summary?.total_combinations ?? report.comparisons.length)} combinations agree`;
+  html += ` · ${singleCount} single-platform only`;
+  html += ` · platforms: ${escapeHtml(platforms.join(', ')) || 'none'}`;
+  html += ` · ${formatDateLong(report.timestamp)}`;
+  html += '</p>';
+
+  html += '<table class="matrix consensus-matrix"><thead><tr>';
+  html += '<th scope="col">Architecture</th>';
+  suites.forEach(suite => {
+    html += `<th scope="col">${escapeHtml(suite)}</th>`;
+  });
+  html += '</tr></thead><tbody>';
+
+  archs.forEach(arch => {
+    html += `<tr><th scope="row">${escapeHtml(arch)}</th>`;
+    suites.forEach(suite => {
+      const comparison = grid[arch][suite];
+      if (!comparison) {
+        html += '<td class="cell-na">—</td>';
+        return;
+      }
+      html += renderConsensusCell(comparison);
+    });
+    html += '</tr>';
+  });
+  html += '</tbody></table>';
+
+  html += renderConsensusArchive();
+
+  container.innerHTML = html;
+  bindConsensusPicker(container);
+}
+
+/**
+ * Render serial picker for archived consensus reports
+ * @returns {string} HTML string or empty string when no archive index
+ */
+function renderConsensusPicker() {
+  if (state.consensusIndex.length === 0) return '';
+
+  const serials = state.consensusIndex.map(entry => entry.serial).sort().reverse();
+  let html = '<label class="consensus-picker">Serial ';
+  html += '<select id="consensus-serial">';
+  html += `<option value=""${state.consensusSerial ? '' : ' selected'}>latest</option>`;
+  serials.forEach(serial => {
+    const selected = serial === state.consensusSerial ? ' selected' : '';
+    html += `<option value="${escapeHtml(serial)}"${selected}>${escapeHtml(serial)}</option>`;
+  });
+  html += '</select></label>';
+  return html;
+}
+
+/**
+ * Attach change handler to the consensus serial picker
+ * @param {HTMLElement} container - Consensus panel container
+ */
+function bindConsensusPicker(container) {
+  const select = container.querySelector('#consensus-serial');
+  if (select) {
+    select.addEventListener('change', event => selectConsensusSerial(event.target.value));
+  }
+}
+
+/**
+ * Render consensus rate and platform count across archived serials
+ * Flags serials where a platform joined or left, and serials with disagreements
+ * @returns {string} HTML string or empty string when no archive index
+ */
+function renderConsensusArchive() {
+  if (state.consensusIndex.length === 0) return '';
+
+  const entries = summarizeConsensusIndex(state.consensusIndex);
+  const points = entries
+    .filter(entry => entry.timestamp)
+    .map(entry => ({ time: Date.parse(entry.timestamp), rate: entry.rate }));
+
+  let html = '<div class="consensus-archive">';
+  html += '<h3>Across serials</h3>';
+  if (points.length >= 2) {
+    html += `<div class="sparkline-item">
+      <span class="sparkline-label">consensus</span>
+      ${generateSparklineSVG(points, { label: 'consensus' })}
+      <span class="sparkline-value">${points[points.length - 1].rate}%</span>
+    </div>`;
+  }
+  html += '<table><thead><tr>';
+  html += '<th scope="col">Serial</th>';
+  html += '<th scope="col">Validated</th>';
+  html += '<th scope="col">Platforms</th>';
+  html += '<th scope="col">Consensus</th>';
+  html += '<th scope="col">Disagreements</th>';
+  html += '<th scope="col">Changes</th>';
+  html += '</tr></thead><tbody>';
+
+  entries.slice().reverse().forEach(entry => {
+    const notes = [];
+    entry.joined.forEach(platform => notes.push(`+${platform} joined`));
+    entry.left.forEach(platform => notes.push(`−${platform} left`));
+    if (entry.disagreementsStarted) notes.push('disagreements started');
+
+    html += `<tr class="${entry.disagreements > 0 ? 'cell-fail' : ''}">`;
+    html += `<td>${escapeHtml(entry.serial)}</td>`;
+    html += `<td>${entry.timestamp ? formatDateShort(entry.timestamp) : '—'}</td>`;
+    html += `<td>${entry.platforms.length} (${escapeHtml(entry.platforms.join(', '))})</td>`;
+    html += `<td>${entry.rate}%</td>`;
+    html += `<td>${escapeHtml(entry.disagreements)}</td>`;
+    html += `<td>${escapeHtml(notes.join('; '))}</td>`;
+    html += '</tr>';
+  });
+
+  html += '</tbody></table></div>';
+  return html;
+}
+
+/**
+ * Render a single consensus grid cell with expandable platform checksums
+ * @param {Object} comparison - Entry from consensus comparisons[]
+ * @returns {string} Table cell HTML string
+ */
+function renderConsensusCell(comparison) {
+  const kind = classifyConsensusComparison(comparison);
+  const cellClass = {
+    agree: 'cell-pass',
+    single: 'cell-warn',
+    disagree: 'cell-fail'
+  }[kind];
+  const symbol = kind === 'disagree' ? '✗' : '✓';
+  const agreeing = comparison.platforms_agreeing ?? 0;
+  const total = comparison.platforms_total ?? comparison.platform_results.length;
+  const label = escapeHtml(kind === 'single' ? `${agreeing}/${total} single` : `${agreeing}/${total}`);
+
+  // Without a majority every checksum of a disagreement is highlighted
+  const reference = referenceChecksum(comparison);
+  const rows = comparison.platform_results.map(result => {
+    const differs = reference ? result.sha256 !== reference : kind === 'disagree';
+    return `<li class="${differs ? 'sha-differs' : ''}">
+      <span class="platform-name">${escapeHtml(result.platform)}</span>
+      <code class="sha256-full">${escapeHtml(result.sha256)}</code>
+    </li>`;
+  }).join('');
+
+  return `<td class="${cellClass} consensus-cell">
+    <details>
+      <summary>${symbol} ${label}</summary>
+      <ul class="platform-results">${rows}</ul>
+    </details>
+  </td>`;
+}
+
+/**
+ * Render registry verification panel
+ * Shows suite × architecture grid comparing Docker Hub layer diff_ids with
+ * the artifacts repository, plus overall status and trend across history
+ */
+function renderRegistryPanel() {
+  const container = document.getElementById('registry-content');
+  if (!container) return;
+
+  const report = state.registry;
+  if (!report || !Array.isArray(report.results) || report.results.length === 0) {
+    container.innerHTML = '<p>Registry verification data not yet available.</p>';
+    return;
+  }
+
+  const stats = calculateRegistryStats(report);
+  const statusClass = report.status === 'pass' ? 'cell-pass' : 'cell-fail';
+  const statusLabel = report.status === 'pass' ? '✓ pass' : `✗ ${escapeHtml(report.status || 'unknown')}`;
+
+  // Index results by suite and architecture
+  const grid = {};
+  const archSet = new Set(report.architectures || []);
+  report.results.forEach(result => {
+    archSet.add(result.architecture);
+    grid[result.suite] = grid[result.suite] || {};
+    grid[result.suite][result.architecture] = result;
+  });
+  const archs = Array.from(archSet).sort();
+  const suites = Object.keys(grid).sort();
+
+  let html = '<p class="registry-meta">';
+  html += `<span class="${statusClass}">${statusLabel}</span> · `;
+  html += `${stats.matched}/${stats.total} diff_ids match`;
+  if (stats.mismatched > 0) html += ` · ${stats.mismatched} mismatched`;
+  if (stats.errors > 0) html += ` · ${stats.errors} errors`;
+  html += ` · Serial ${escapeHtml(report.serial || 'unknown')}`;
+  html += ` · verified ${formatDateLong(report.verification_timestamp || report.timestamp)}`;
+  html += '</p>';
+
+  html += '<table class="matrix registry-matrix"><thead><tr>';
+  html += '<th scope="col">Suite</th>';
+  archs.forEach(arch => {
+    html += `<th scope="col">${escapeHtml(arch)}</th>`;
+  });
+  html += '</tr></thead><tbody>';
+
+  suites.forEach(suite => {
+    html += `<tr><th scope="row">${escapeHtml(suite)}</th>`;
+    archs.forEach(arch => {
+      const result = grid[suite][arch];
+      if (!result) {
+        html += '<td class="cell-na">—</td>';
+        return;
+      }
+
+      const cell = registryCellStatus(result.status);
+      const detail = `Docker Hub: ${result.dockerhub_diffid || 'n/a'}\nArtifacts: ${result.artifacts_diffid || 'n/a'}`;
+      html += `<td class="${cell.className}" title="${escapeHtml(detail)}">${cell.symbol} ${escapeHtml(result.status)}</td>`;
+    });
+    html += '</tr>';
+  });
+  html += '</tbody></table>';
+
+  html += renderRegistryTrend();
+
+  container.innerHTML = html;
+}
+
+/**
+ * Render registry verification trend across registry history
+ * @returns {string} HTML string or empty string when history is too short
+ */
+function renderRegistryTrend() {
+  if (state.registryHistory.length < 2) return '';
+
+  const points = state.registryHistory.slice(-SPARKLINE_DAYS).map(report => ({
+    time: Date.parse(report.timestamp),
+    rate: calculateRegistryStats(report).rate
+  }));
+  const passed = state.registryHistory.filter(report => report.status === 'pass').length;
+  const first = state.registryHistory[0];
+
+  return `
+    <div class="sparkline-item registry-trend">
+      <span class="sparkline-label">match rate</span>
+      ${generateSparklineSVG(points, { label: 'registry match rate' })}
+      <span class="sparkline-value">${points[points.length - 1].rate}%</span>
+      <span class="stat-label">${passed} of ${state.registryHistory.length} verifications passed since ${formatDateShort(first.timestamp)}</span>
+    </div>
+  `;
+}
+
+/**
+ * Render checksum / diff_id search box and bind its input handler
+ * The input element is created once so typing is not interrupted by re-renders
+ */
+function renderSearchPanel() {
+  const container = document.getElementById('search-content');
+  if (!container) return;
+
+  if (!container.querySelector('#hash-search')) {
+    container.innerHTML = `
+      <label for="hash-search" class="sr-only">SHA256 checksum or diff_id</label>
+      <input type="search" id="hash-search" class="hash-search" placeholder="sha256 or sha256:diff_id (min ${SEARCH_MIN_LENGTH} hex chars)" autocomplete="off" spellcheck="false">
+      <div id="search-results" aria-live="polite"></div>
+    `;
+
+    let archiveLoaded = false;
+    container.querySelector('#hash-search').addEventListener('input', async event => {
+      renderSearchResults(event.target.value);
+      if (!archiveLoaded && state.consensusIndex.length > 0) {
+        archiveLoaded = true;
+        await loadConsensusArchive();
+        renderSearchResults(container.querySelector('#hash-search').value);
+      }
+    });
+  }
+
+  renderSearchResults(container.querySelector('#hash-search').value);
+}
+
+/**
+ * Render results of a checksum search
+ * @param {string} query - Raw search input
+ */
+function renderSearchResults(query) {
+  const container = document.getElementById('search-results');
+  if (!container) return;
+
+  const needle = normalizeHashQuery(query);
+  if (needle.length < SEARCH_MIN_LENGTH) {
+    container.innerHTML = query && query.trim()
+      ? `<p class="search-note">Enter at least ${SEARCH_MIN_LENGTH} hex characters.</p>`
+      : '';
+    return;
+  }
+
+  const results = searchChecksums(needle);
+  if (results.length === 0) {
+    container.innerHTML = '<p class="search-note">No matches in any loaded dataset.</p>';
+    return;
+  }
+
+  container.innerHTML = renderOccurrenceTable(results);
+}
+
+/**
+ * Render a table of checksum occurrences found by searchChecksums()
+ * @param {Array<Object>} results - Occurrences to list
+ * @returns {string} HTML string
+ */
+function renderOccurrenceTable(results) {
+  const verified = results.filter(r => r.verified).length;
+  let html = `<p class="search-note">${results.length} occurrence${results.length === 1 ? '' : 's'} · ${verified} verified · ${results.length - verified} disputed</p>`;
+  html += '<table class="search-results"><thead><tr>';
+  html += '<th scope="col">Dataset</th>';
+  html += '<th scope="col">Architecture</th>';
+  html += '<th scope="col">Suite</th>';
+  html += '<th scope="col">Serial</th>';
+  html += '<th scope="col">Run / Platform</th>';
+  html += '<th scope="col">Field</th>';
+  html += '<th scope="col">Status</th>';
+  html += '</tr></thead><tbody>';
+
+  results.slice(0, SEARCH_MAX_RESULTS).forEach(result => {
+    html += '<tr>';
+    html += `<td>${escapeHtml(result.dataset)}</td>`;
+    html += `<td>${escapeHtml(result.arch)}</td>`;
+    html += `<td>${escapeHtml(result.suite)}</td>`;
+    html += `<td>${escapeHtml(result.serial || '—')}</td>`;
+    html += `<td>${escapeHtml(result.runId ? `run ${result.runId}` : result.platform || '—')}</td>`;
+    html += `<td><code title="${escapeHtml(result.value)}">${escapeHtml(result.field)}</code></td>`;
+    html += `<td class="${result.verified ? 'cell-pass' : 'cell-fail'}">${result.verified ? '✓ verified' : '✗ disputed'}</td>`;
+    html += '</tr>';
+  });
+
+  html += '</tbody></table>';
+  if (results.length > SEARCH_MAX_RESULTS) {
+    html += `<p class="search-note">Showing first ${SEARCH_MAX_RESULTS} of ${results.length}.</p>`;
+  }
+  return html;
+}
+
+/**
+ * Render local tarball verification drop zone and bind file handlers
+ * Files are hashed in the browser; nothing is uploaded
+ */
+function renderLocalVerifyPanel() {
+  const container = document.getElementById('local-verify-content');
+  if (!container || container.querySelector('#local-file')) return;
+
+  container.innerHTML = `
+    <div class="drop-zone" id="drop-zone">
+      <p>Drop <code>rootfs.tar.xz</code> or a decompressed <code>rootfs.tar</code> here, or
+        <label class="file-label">choose a file<input type="file" id="local-file" class="sr-only"></label>.</p>
+      <p class="search-note">Hashed locally with SHA-256; the file never leaves your browser.
+        A <code>.tar.xz</code> matches report and consensus checksums; an uncompressed tar matches registry diff_ids.</p>
+    </div>
+    <div id="local-verify-result" aria-live="polite"></div>
+  `;
+
+  const dropZone = container.querySelector('#drop-zone');
+  dropZone.addEventListener('dragover', event => {
+    event.preventDefault();
+    dropZone.classList.add('drop-active');
+  });
+  dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drop-active'));
+  dropZone.addEventListener('drop', event => {
+    event.preventDefault();
+    dropZone.classList.remove('drop-active');
+    const file = event.dataTransfer && event.dataTransfer.files[0];
+    if (file) verifyLocalFile(file);
+  });
+  container.querySelector('#local-file').addEventListener('change', event => {
+    const file = event.target.files[0];
+    if (file) verifyLocalFile(file);
+  });
+}
+
+/**
+ * Hash a local file and report which published checksums it matches
+ * @param {Blob} file - File chosen or dropped by the user
+ * @returns {Promise<void>}
+ */
+async function verifyLocalFile(file) {
+  const container = document.getElementById('local-verify-result');
+  if (!container) return;
+
+  const name = file.name || 'file';
+  const progress = fraction => {
+    container.innerHTML = `<p class="search-note">Hashing ${escapeHtml(name)}: ${Math.round(fraction * 100)}%</p>`;
+  };
+
+  let hash;
+  try {
+    progress(0);
+    hash = await hashFile(file, progress);
+  } catch (error) {
+    container.innerHTML = `<p class="cell-fail">Could not read ${escapeHtml(name)}: ${escapeHtml(error.message)}</p>`;
+    return;
+  }
+
+  await loadConsensusArchive();
+  const matches = findChecksumMatches(hash);
+
+  let html = `<p class="local-hash"><span class="checksum-label">${escapeHtml(name)}</span> <code class="sha256-full">${hash}</code></p>`;
+  if (matches.length === 0) {
+    html += '<p class="cell-fail">✗ Matches no published checksum or diff_id.</p>';
+  } else {
+    const slices = Array.from(new Set(matches.map(m => `${m.arch}/${m.suite}${m.serial ? ` (serial ${m.serial})` : ''}`)));
+    html += `<p class="cell-pass">✓ Matches ${escapeHtml(slices.join(', '))}</p>`;
+    html += renderOccurrenceTable(matches);
+  }
+  container.innerHTML = html;
+}
+
+/**
+ * Check whether an architecture/suite combination belongs to a slice route
+ * @param {{view: string, name: string|null}} route - arch or suite route
+ * @param {string} arch - Architecture
+ * @param {string} suite - Suite
+ * @returns {boolean}
+ */
+function inSlice(route, arch, suite) {
+  return route.view === 'arch' ? arch === route.name : suite === route.name;
+}
+
+/**
+ * Render the per-architecture or per-suite page, or show the overview
+ * The page combines current status, full history, build times, consensus
+ * and registry results for one slice of the matrix.
+ */
+function renderSlicePage() {
+  const page = document.getElementById('slice-page');
+  const overview = document.getElementById('overview');
+  if (!page || !overview) return;
+
+  const route = state.route;
+  const sliced = route.view !== 'overview';
+  page.hidden = !sliced;
+  overview.hidden = sliced;
+  if (!sliced) {
+    page.innerHTML = '';
+    return;
+  }
+
+  const overviewHash = routeHash({ view: 'overview', name: null }, state.selectedRunId) || '#';
+  let html = `<p class="slice-back"><a href="${overviewHash}">← All architectures and suites</a></p>`;
+  html += `<h2 id="slice-heading">${route.view === 'arch' ? 'Architecture' : 'Suite'} ${escapeHtml(route.name)}</h2>`;
+  html += renderSliceStatus(route);
+  html += renderSliceHistory(route);
+  html += renderSliceBuildTimes(route);
+  html += renderSliceConsensus(route);
+  html += renderSliceRegistry(route);
+
+  page.innerHTML = html;
+  bindCopyButtons(page);
+}
+
+/**
+ * Render status and checksums of a slice in the selected run
+ * @param {{view: string, name: string}} route - Slice route
+ * @returns {string} HTML
+ */
+function renderSliceStatus(route) {
+  let html = '<h3>Current Status</h3>';
+  const report = currentReport();
+  if (!report) return html + '<p>Unavailable until latest.json loads.</p>';
+
+  const view = {
+    archs: route.view === 'arch' ? [route.name] : [],
+    suites: route.view === 'suite' ? [route.name] : [],
+    status: 'all'
+  };
+  const rows = filterDetailRows(report, view);
+  if (rows.length === 0) return html + `<p>No results for ${escapeHtml(route.name)} in this run.</p>`;
+
+  html += `<p class="slice-meta">Serial ${escapeHtml(report.serial || 'unknown')} · run ${formatDateLong(report.timestamp)}</p>`;
+  html += '<table class="slice-table"><thead><tr>';
+  html += '<th scope="col">Architecture</th>';
+  html += '<th scope="col">Suite</th>';
+  html += '<th scope="col">Status</th>';
+  html += '<th scope="col">Checksums (ours / official)</th>';
+  html += '<th scope="col">Match</th>';
+  html += '</tr></thead><tbody>';
+
+  rows.forEach(({ arch, suite, data }) => {
+    html += `<tr><td>${escapeHtml(arch)}</td><td>${escapeHtml(suite)}</td>`;
+    if (!data) {
+      html += '<td class="cell-missing">missing/failed to run</td>';
+      html += '<td class="checksums"><span class="cell-na">no result</span></td>';
+      html += '<td class="cell-na">—</td></tr>';
+      return;
+    }
+
+    const match = compareChecksums(data.sha256, data.official_sha256);
+    html += `<td class="${data.reproducible ? 'cell-pass' : 'cell-fail'}">${data.reproducible ? '✓ Reproducible' : '✗ Not Reproducible'}</td>`;
+    html += `<td class="checksums">
+      ${renderChecksumLine('ours', data.sha256, data.official_sha256)}
+      ${renderChecksumLine('official', data.official_sha256, data.sha256)}
+    </td>`;
+    html += `<td class="${match.className}" title="${match.title}">${match.symbol}</td></tr>`;
+  });
+
+  return html + '</tbody></table>';
+}
+
+/**
+ * Render every run of a slice up to the selected run, newest first, with
+ * a stability label per combination
+ * @param {{view: string, name: string}} route - Slice route
+ * @returns {string} HTML
+ */
+function renderSliceHistory(route) {
+  let html = '<h3>History</h3>';
+  const history = historyWindow();
+  const cells = {};
+  history.forEach(report => {
+    forEachSuiteResult(report, (arch, suite) => {
+      if (inSlice(route, arch, suite)) cells[`${arch}/${suite}`] = { arch, suite };
+    });
+  });
+  const combos = Object.keys(cells).sort().map(key => cells[key]);
+  if (combos.length === 0) return html + '<p>No history recorded yet.</p>';
+
+  const comboLabel = ({ arch, suite }) => escapeHtml(route.view === 'arch' ? suite : arch);
+  html += '<table class="slice-table slice-history"><thead><tr>';
+  html += '<th scope="col">Run</th><th scope="col">Serial</th>';
+  combos.forEach(combo => {
+    html += `<th scope="col">${comboLabel(combo)}</th>`;
+  });
+  html += '</tr></thead><tbody>';
+
+  history.slice().reverse().forEach(report => {
+    const runId = String(report.run_id);
+    const current = runId === (state.selectedRunId || String(state.latest?.run_id));
+    html += `<tr${current ? ' aria-current="true"' : ''}>`;
+    html += `<td><a href="${routeHash(route, runId)}">${formatDateShort(report.timestamp)}</a></td>`;
+    html += `<td>${escapeHtml(report.serial || '—')}</td>`;
+    combos.forEach(({ arch, suite }) => {
+      const data = report.architectures?.[arch]?.suites?.[suite];
+      if (!data) html += '<td class="cell-na">—</td>';
+      else html += `<td class="${data.reproducible ? 'cell-pass' : 'cell-fail'}">${data.reproducible ? '✓' : '✗'}</td>`;
+    });
+    html += '</tr>';
+  });
+
+  html += '</tbody><tfoot><tr><th scope="row" colspan="2">Stability</th>';
+  const recent = history.slice(-STABILITY_RUNS);
+  combos.forEach(({ arch, suite }) => {
+    const stats = calculateCellStability(recent, arch, suite);
+    html += `<td>${stats ? renderStabilityLabel(stats) : '—'}</td>`;
+  });
+  return html + '</tr></tfoot></table>';
+}
+
+/**
+ * Render build time statistics of a slice
+ * @param {{view: string, name: string}} route - Slice route
+ * @returns {string} HTML
+ */
+function renderSliceBuildTimes(route) {
+  let html = '<h3>Build Times</h3>';
+  const cells = calculateBuildTimeStats(historyWindow()).filter(cell => inSlice(route, cell.arch, cell.suite));
+  if (cells.length === 0) return html + '<p>No build times measured yet.</p>';
+
+  html += '<table class="slice-table"><thead><tr>';
+  html += '<th scope="col">Architecture</th><th scope="col">Suite</th>';
+  html += '<th scope="col">Latest</th><th scope="col">Median</th><th scope="col">p90</th><th scope="col">Slow runs</th>';
+  html += '</tr></thead><tbody>';
+  cells.forEach(cell => {
+    const latest = cell.latest === null ? '<span class="cell-na">not measured</span>' : `${escapeHtml(cell.latest)}s`;
+    html += `<tr><td>${escapeHtml(cell.arch)}</td><td>${escapeHtml(cell.suite)}</td>`;
+    html += `<td class="${cell.latestSlow ? 'cell-warn' : ''}">${latest}</td>`;
+    html += `<td>${escapeHtml(cell.median)}s</td><td>${escapeHtml(cell.p90)}s</td>`;
+    html += `<td>${cell.slowRuns.length} of ${cell.measured}</td></tr>`;
+  });
+  return html + '</tbody></table>';
+}
+
+/**
+ * Render consensus platform results of a slice
+ * @param {{view: string, name: string}} route - Slice route
+ * @returns {string} HTML
+ */
+function renderSliceConsensus(route) {
+  let html = '<h3>Multi-Platform Consensus</h3>';
+  const report = currentConsensusReport();
+  const comparisons = (report?.comparisons || []).filter(c => inSlice(route, c.architecture, c.suite));
+  if (comparisons.length === 0) return html + `<p>No consensus results for ${escapeHtml(route.name)}.</p>`;
+
+  html += `<p class="slice-meta">Validated ${formatDateLong(report.timestamp)} · platforms ${escapeHtml((report.platforms || []).join(', '))}</p>`;
+  html += '<table class="slice-table"><thead><tr>';
+  html += '<th scope="col">Architecture</th><th scope="col">Suite</th><th scope="col">Platforms agreeing</th>';
+  html += '</tr></thead><tbody>';
+  comparisons.forEach(comparison => {
+    html += `<tr><td>${escapeHtml(comparison.architecture)}</td><td>${escapeHtml(comparison.suite)}</td>`;
+    html += `${renderConsensusCell(comparison)}</tr>`;
+  });
+  return html + '</tbody></table>';
+}
+
+/**
+ * Render registry diff_id results of a slice
+ * @param {{view: string, name: string}} route - Slice route
+ * @returns {string} HTML
+ */
+function renderSliceRegistry(route) {
+  let html = '<h3>Registry Verification</h3>';
+  const report = state.registry;
+  const results = (report?.results || [])
+    .filter(result => inSlice(route, result.architecture, result.suite))
+    .sort((a, b) => `${a.architecture}/${a.suite}`.localeCompare(`${b.architecture}/${b.suite}`));
+  if (results.length === 0) return html + `<p>No registry results for ${escapeHtml(route.name)}.</p>`;
+
+  html += `<p class="slice-meta">Serial ${escapeHtml(report.serial || 'unknown')} · verified ${formatDateLong(report.verification_timestamp || report.timestamp)}</p>`;
+  html += '<table class="slice-table"><thead><tr>';
+  html += '<th scope="col">Architecture</th><th scope="col">Suite</th><th scope="col">Status</th>';
+  html += '<th scope="col">diff_ids (Docker Hub / artifacts)</th>';
+  html += '</tr></thead><tbody>';
+  results.forEach(result => {
+    const cell = registryCellStatus(result.status);
+    html += `<tr><td>${escapeHtml(result.architecture)}</td><td>${escapeHtml(result.suite)}</td>`;
+    html += `<td class="${cell.className}">${cell.symbol} ${escapeHtml(result.status)}</td>`;
+    html += `<td class="checksums">
+      <code class="sha256-full">${escapeHtml(result.dockerhub_diffid || 'n/a')}</code>
+      <code class="sha256-full">${escapeHtml(result.artifacts_diffid || 'n/a')}</code>
+    </td></tr>`;
+  });
+  return html + '</tbody></table>';
+}
+
+/**
+ * Update "last updated" timestamp in footer
+ */
+function updateLastUpdate() {
+  const el = document.getElementById('last-update');
+  if (el && state.latest) {
+    el.textContent = formatDateLong(state.latest.timestamp);
+  }
+}
+
+// =============================================================================
+// Statistics Calculations
+// =============================================================================
+
+/**
+ * Calculate overall statistics from a verification report
+ * @param {Object} report - Normalized verification report
+ * @returns {{
+ *   totalArchs: number,
+ *   successfulArchs: number,
+ *   totalSuites: number,
+ *   reproducibleSuites: number,
+ *   missingSuites: number,
+ *   rate: ?number,
+ *   avgBuildTime: ?number,
+ *   measuredBuilds: number
+ * }} rate counts missing expected combinations as not reproducible and is
+ *   null for a run with no results; avgBuildTime covers measured builds only
+ *   (null when none were measured)
+ */
+function calculateStats(report) {
+  const archs = report.architectures;
+  const archKeys = Object.keys(archs);
+
+  let totalSuites = 0;
+  let reproducibleSuites = 0;
+  let totalBuildTime = 0;
+  let measuredBuilds = 0;
+  let successfulArchs = 0;
+
+  archKeys.forEach(arch => {
+    if (archs[arch].status === 'success') successfulArchs++;
+  });
+
+  forEachSuiteResult(report, (arch, suiteName, suite) => {
+    totalSuites++;
+    if (suite.reproducible) reproducibleSuites++;
+    if (suite.build_time_seconds !== null) {
+      totalBuildTime += suite.build_time_seconds;
+      measuredBuilds++;
+    }
+  });
+
+  const missingSuites = findMissingCoverage(report).length;
+  const rate = totalSuites > 0
+    ? Math.round((reproducibleSuites / (totalSuites + missingSuites)) * 100)
+    : null;
+
+  const avgBuildTime = measuredBuilds > 0
+    ? Math.round(totalBuildTime / measuredBuilds)
+    : null;
+
+  return {
+    totalArchs: archKeys.length,
+    successfulArchs,
+    totalSuites,
+    reproducibleSuites,
+    missingSuites,
+    rate,
+    avgBuildTime,
+    measuredBuilds
+  };
+}
+
+/**
+ * Walk every architecture/suite result in a report
+ * @param {Object} report - Normalized verification report
+ * @param {function(string, string, Object, Object): void} callback -
+ *   Called with (arch, suite, suiteData, archData)
+ */
+function forEachSuiteResult(report, callback) {
+  const archs = report.architectures;
+  Object.keys(archs).forEach(arch => {
+    const archData = archs[arch];
+    const suites = archData.suites || {};
+    Object.keys(suites).forEach(suite => {
+      callback(arch, suite, suites[suite], archData);
+    });
+  });
+}
+
+/**
+ * List expected architecture/suite combinations without a result
+ * A run with no results at all is "no data", not a run with everything missing
+ * @param {Object} report - Normalized verification report
+ * @param {{architectures: Array<string>, suites: Array<string>}} [coverage=EXPECTED_COVERAGE]
+ * @returns {Array<{arch: string, suite: string}>} Sorted by architecture, then suite
+ */
+function findMissingCoverage(report, coverage = EXPECTED_COVERAGE) {
+  if (!report.hasData) return [];
+  const missing = [];
+  coverage.architectures.slice().sort().forEach(arch => {
+    coverage.suites.slice().sort().forEach(suite => {
+      if (!report.architectures[arch]?.suites[suite]) missing.push({ arch, suite });
+    });
+  });
+  return missing;
+}
+
+/**
+ * Calculate statistics for a single architecture
+ * @param {Object|undefined} archData - Architecture data from a normalized report
+ *   (undefined when the architecture has no results)
+ * @param {number} [missing=0] - Missing expected suites, counted as not reproducible
+ * @returns {{total: number, reproducible: number, rate: ?number}} rate is null without results
+ */
+function calculateArchStats(archData, missing = 0) {
+  const suites = archData ? Object.values(archData.suites || {}) : [];
+  const total = suites.length;
+  const reproducible = suites.filter(s => s.reproducible).length;
+  const rate = total + missing > 0 ? Math.round((reproducible / (total + missing)) * 100) : null;
+
+  return { total, reproducible, rate };
+}
+
+/**
+ * Calculate statistics for a single suite across all architectures
+ * @param {string} suite - Suite name
+ * @param {Object} archs - All architectures from a normalized report
+ * @param {number} [missing=0] - Missing expected architectures, counted as not reproducible
+ * @returns {{total: number, reproducible: number, rate: ?number}} rate is null without results
+ */
+function calculateSuiteStats(suite, archs, missing = 0) {
+  let total = 0;
+  let reproducible = 0;
+
+  Object.values(archs).forEach(archData => {
+    const suiteData = archData.suites[suite];
+    if (suiteData) {
+      total++;
+      if (suiteData.reproducible) reproducible++;
+    }
+  });
+
+  const rate = total + missing > 0 ? Math.round((reproducible / (total + missing)) * 100) : null;
+  return { total, reproducible, rate };
+}
+
+/**
+ * Calculate statistics for a registry verification report
+ * @param {Object} report - Registry report (registry-latest.json shape)
+ * @returns {{total: number, matched: number, mismatched: number, errors: number, rate: number}}
+ */
+function calculateRegistryStats(report) {
+  const results = (report && report.results) || [];
+  const total = results.length;
+  const matched = results.filter(r => r.status === 'match').length;
+  const mismatched = results.filter(r => r.status === 'mismatch').length;
+  const errors = total - matched - mismatched;
+  const rate = total > 0 ? Math.round((matched / total) * 100) : 0;
+
+  return { total, matched, mismatched, errors, rate };
+}
+
+/**
+ * Compare our checksum with the official checksum
+ * @param {string} ours - Our SHA256 (may be empty)
+ * @param {string} official - Official SHA256 (may be empty or 'not-available')
+ * @returns {{match: boolean|null, symbol: string, className: string, title: string}}
+ */
+function compareChecksums(ours, official) {
+  if (!isSha256(ours) || !isSha256(official)) {
+    return { match: null, symbol: '?', className: 'cell-warn', title: 'Checksum missing; cannot compare' };
+  }
+  if (ours.toLowerCase() === official.toLowerCase()) {
+    return { match: true, symbol: '=', className: 'cell-pass', title: 'Checksums match' };
+  }
+  return { match: false, symbol: '≠', className: 'cell-fail', title: 'Checksums differ' };
+}
+
+/**
+ * Check whether a value is a SHA256 hex digest (not a placeholder such as
+ * "not-available" or "build-failed")
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isSha256(value) {
+  return /^[a-f0-9]{64}$/i.test(value || '');
+}
+
+/**
+ * Wrap characters of a checksum that differ from another checksum in <mark>
+ * Contiguous differing characters share a single <mark> element; case is
+ * ignored and nothing is marked unless both values are SHA256 digests
+ * @param {string} sha - Checksum to render
+ * @param {string} other - Checksum to compare against
+ * @returns {string} HTML string
+ */
+function highlightChecksumDiff(sha, other) {
+  if (!isSha256(sha) || !isSha256(other)) return escapeHtml(sha);
+  // Case-insensitive, as in compareChecksums()
+  const lower = sha.toLowerCase();
+  const otherLower = other.toLowerCase();
+  if (lower === otherLower) return escapeHtml(sha);
+
+  let html = '';
+  let inDiff = false;
+  for (let i = 0; i < sha.length; i++) {
+    const differs = lower[i] !== otherLower[i];
+    if (differs && !inDiff) html += '<mark class="sha-diff">';
+    if (!differs && inDiff) html += '</mark>';
+    html += escapeHtml(sha[i]);
+    inDiff = differs;
+  }
+  if (inDiff) html += '</mark>';
+  return html;
+}
+
+/**
+ * Index consensus comparisons into an architecture × suite grid
+ * @param {Array<Object>} comparisons - Consensus comparisons[] array
+ * @returns {{archs: Array<string>, suites: Array<string>, grid: Object}}
+ */
+function indexConsensusComparisons(comparisons) {
+  const grid = {};
+  const suiteSet = new Set();
+
+  comparisons.forEach(comparison => {
+    grid[comparison.architecture] = grid[comparison.architecture] || {};
+    grid[comparison.architecture][comparison.suite] = comparison;
+    suiteSet.add(comparison.suite);
+  });
+
+  return {
+    archs: Object.keys(grid).sort(),
+    suites: Array.from(suiteSet).sort(),
+    grid
+  };
+}
+
+/**
+ * Summarize archived consensus index entries in serial order
+ * Compares each serial with the previous one to find platform changes
+ * and the first serial of a run of disagreements
+ * @param {Array<Object>} index - Entries from consensus/index.json
+ * @returns {Array<{
+ *   serial: string,
+ *   timestamp: string|null,
+ *   platforms: Array<string>,
+ *   rate: number,
+ *   disagreements: number,
+ *   joined: Array<string>,
+ *   left: Array<string>,
+ *   disagreementsStarted: boolean
+ * }>}
+ */
+function summarizeConsensusIndex(index) {
+  const sorted = index.slice().sort((a, b) => a.serial.localeCompare(b.serial));
+  let previous = null;
+
+  return sorted.map(entry => {
+    const platforms = (entry.platforms || []).slice().sort();
+    const disagreements = entry.disagreements || 0;
+    const prevPlatforms = previous ? previous.platforms : [];
+
+    const summary = {
+      serial: entry.serial,
+      timestamp: entry.timestamp || null,
+      platforms,
+      rate: Math.round((entry.consensus_rate || 0) * 100),
+      disagreements,
+      joined: previous ? platforms.filter(p => !prevPlatforms.includes(p)) : [],
+      left: previous ? prevPlatforms.filter(p => !platforms.includes(p)) : [],
+      disagreementsStarted: disagreements > 0 && (!previous || previous.disagreements === 0)
+    };
+
+    previous = summary;
+    return summary;
+  });
+}
+
+/**
+ * Classify a consensus comparison for display
+ * @param {Object} comparison - Entry from consensus comparisons[]
+ * @returns {string} 'disagree', 'single' (verified by one platform only) or 'agree'
+ */
+function classifyConsensusComparison(comparison) {
+  if (comparison.disagreement || comparison.consensus === false) return 'disagree';
+  const total = comparison.platforms_total ?? comparison.platform_results.length;
+  if (total < 2) return 'single';
+  return 'agree';
+}
+
+/**
+ * Pick the checksum a comparison's platform results are measured against
+ * compare-platforms.sh only fills consensus_checksum when every platform
+ * agrees; on a disagreement the checksum most platforms produced is used.
+ * @param {Object} comparison - Entry from consensus comparisons[]
+ * @returns {string|null} Reference checksum, or null when no checksum has a majority
+ */
+function referenceChecksum(comparison) {
+  if (comparison.consensus_checksum) return comparison.consensus_checksum;
+  const counts = new Map();
+  comparison.platform_results.forEach(result => {
+    counts.set(result.sha256, (counts.get(result.sha256) || 0) + 1);
+  });
+  const majority = [...counts].find(([, count]) => count * 2 > comparison.platform_results.length);
+  return majority ? majority[0] : null;
+}
+
+/**
+ * Map a registry result status to display symbol and cell class
+ * @param {string} status - Result status (match, mismatch, error)
+ * @returns {{symbol: string, className: string}}
+ */
+function registryCellStatus(status) {
+  if (status === 'match') return { symbol: '✓', className: 'cell-pass' };
+  if (status === 'mismatch') return { symbol: '✗', className: 'cell-fail' };
+  return { symbol: '!', className: 'cell-warn' };
+}
+
+// =============================================================================
+// Data Validation
+// =============================================================================
+
+// Schemas mirror tests/schemas/*.schema.json (annotations dropped); the test
+// suite checks they stay in sync.
+
+/** @const {Object} Verification report schema (latest.json and history.json entries) */
+const REPORT_SCHEMA = {
+  type: 'object',
+  required: ['timestamp', 'run_id', 'serial', 'epoch', 'environment', 'architectures'],
+  properties: {
+    timestamp: { type: 'string', format: 'date-time' },
+    run_id: { type: 'string' },
+    serial: { type: 'string', pattern: '^[0-9]{8}$' },
+    epoch: { type: 'integer', minimum: 0 },
+    environment: {
+      type: 'object',
+      required: ['timestamp'],
+      properties: {
+        timestamp: { type: 'string', format: 'date-time' },
+        os: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            version: { type: 'string' },
+            kernel: { type: 'string' },
+            arch: { type: 'string' }
+          }
+        },
+        docker: { type: 'string' },
+        qemu: { type: 'string' },
+        git: {
+          type: 'object',
+          properties: {
+            version: { type: 'string' },
+            sha: { type: 'string' },
+            branch: { type: 'string' }
+          }
+        },
+        github_actions: {
+          type: ['object', 'null'],
+          properties: {
+            runner_os: { type: 'string' },
+            runner_arch: { type: 'string' },
+            runner_name: { type: 'string' }
+          }
+        }
+      }
+    },
+    architectures: {
+      type: 'object',
+      patternProperties: {
+        '^(amd64|arm64|armhf|i386|ppc64el|s390x)$': {
+          type: 'object',
+          required: ['status', 'suites'],
+          properties: {
+            status: { type: 'string', enum: ['success', 'failed', 'pending'] },
+            suites: {
+              type: 'object',
+              patternProperties: {
+                '^(forky|trixie|bookworm|bullseye|unstable)$': {
+                  type: 'object',
+                  required: ['reproducible', 'sha256', 'build_time_seconds'],
+                  properties: {
+                    reproducible: { type: 'boolean' },
+                    sha256: { type: 'string', pattern: '^[a-f0-9]{64}$|^build-failed$|^pending\\.\\.\\.$' },
+                    official_sha256: { type: 'string', pattern: '^[a-f0-9]{64}$|^not-available$' },
+                    build_time_seconds: { type: 'integer', minimum: 0 },
+                    error: { type: 'string' }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+/** @const {Object} Consensus report schema (consensus/latest.json and archived reports) */
+const CONSENSUS_SCHEMA = {
+  type: 'object',
+  required: ['timestamp', 'consensus', 'summary', 'platforms', 'comparisons'],
+  properties: {
+    timestamp: { type: 'string', format: 'date-time' },
+    consensus: {
+      type: 'object',
+      required: ['achieved'],
+      properties: {
+        achieved: { type: 'boolean' },
+        require_all_match: { type: 'boolean' }
+      }
+    },
+    summary: {
+      type: 'object',
+      required: ['total_combinations', 'consensus_achieved', 'disagreements', 'consensus_rate'],
+      properties: {
+        total_combinations: { type: 'integer', minimum: 0 },
+        consensus_achieved: { type: 'integer', minimum: 0 },
+        disagreements: { type: 'integer', minimum: 0 },
+        consensus_rate: { type: 'number', minimum: 0 }
+      }
+    },
+    platforms: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    comparisons: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['architecture', 'suite', 'consensus', 'platform_results'],
+        properties: {
+          architecture: { type: 'string', pattern: '^(amd64|arm64|armhf|i386|ppc64el|s390x)$' },
+          suite: { type: 'string', pattern: '^(forky|trixie|bookworm|bullseye|unstable)$' },
+          consensus: { type: 'boolean' },
+          consensus_checksum: { type: 'string', pattern: '^([a-f0-9]{64})?$' },
+          platforms_agreeing: { type: 'integer', minimum: 0 },
+          platforms_total: { type: 'integer', minimum: 0 },
+          platform_results: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['platform', 'sha256'],
+              properties: {
+                platform: { type: 'string' },
+                sha256: { type: 'string', pattern: '^[a-f0-9]{64}$|^build-failed$|^pending\\.\\.\\.$' }
+              }
+            }
+          },
+          disagreement: { type: 'boolean' }
+        }
+      }
+    }
+  }
+};
+
+/** @const {Object} Consensus archive index entry schema (consensus/index.json entries) */
+const CONSENSUS_INDEX_SCHEMA = {
+  type: 'object',
+  required: ['serial', 'timestamp'],
+  properties: {
+    serial: { type: 'string', pattern: '^[0-9]{8}$' },
+    timestamp: { type: 'string', format: 'date-time' },
+    platforms: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    achieved: { type: 'boolean' },
+    consensus_rate: { type: 'number', minimum: 0 },
+    total_combinations: { type: 'integer', minimum: 0 },
+    disagreements: { type: 'integer', minimum: 0 }
+  }
+};
+
+/** @const {Object} Registry verification report schema (registry-latest.json and history entries) */
+const REGISTRY_SCHEMA = {
+  type: 'object',
+  required: ['timestamp', 'serial', 'status', 'results'],
+  properties: {
+    timestamp: { type: 'string', format: 'date-time' },
+    verification_timestamp: { type: 'string', format: 'date-time' },
+    serial: { type: 'string', pattern: '^[0-9]{8}$' },
+    status: { type: 'string', enum: ['pass', 'fail'] },
+    architectures: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['suite', 'architecture', 'status'],
+        properties: {
+          suite: { type: 'string' },
+          architecture: { type: 'string', pattern: '^(amd64|arm64|armhf|i386|ppc64el|s390x)$' },
+          status: { type: 'string', enum: ['match', 'mismatch', 'error'] },
+          dockerhub_diffid: { type: 'string', pattern: '^sha256:([a-f0-9]{64})?$' },
+          artifacts_diffid: { type: 'string', pattern: '^sha256:([a-f0-9]{64})?$' },
+          image: { type: 'string' },
+          platform: { type: 'string' },
+          error: { type: 'string' }
+        }
+      }
+    },
+    summary: {
+      type: 'object',
+      properties: {
+        total: { type: 'integer', minimum: 0 },
+        matched: { type: 'integer', minimum: 0 },
+        mismatched: { type: 'integer', minimum: 0 },
+        errors: { type: 'integer', minimum: 0 },
+        match_rate: { type: 'number', minimum: 0 }
+      }
+    }
+  }
+};
+
+/** @const {RegExp} ISO 8601 date-time accepted for the "date-time" format */
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Validate a value against the JSON Schema subset used by the schemas above:
+ * type, required, properties, patternProperties, items, enum, pattern,
+ * minimum and the date-time format
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema (or subschema) to check against
+ * @param {string} [path=''] - Path of value within its document, e.g. "architectures.arm64"
+ * @returns {Array<{path: string, message: string}>} Issues found; empty when valid
+ */
+function validateSchema(value, schema, path = '') {
+  const at = path || '(root)';
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesSchemaType(value, type))) {
+    return [{ path: at, message: `expected ${types.join(' or ')}, got ${describeType(value)}` }];
+  }
+
+  const issues = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    issues.push({ path: at, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    issues.push({ path: at, message: `does not match ${schema.pattern}` });
+  }
+  // The pattern alone lets impossible dates such as month 13 through
+  if (typeof value === 'string' && schema.format === 'date-time' &&
+      (!DATE_TIME_PATTERN.test(value) || Number.isNaN(Date.parse(value)))) {
+    issues.push({ path: at, message: 'is not an ISO 8601 date-time' });
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    issues.push({ path: at, message: `is below minimum ${schema.minimum}` });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, idx) => issues.push(...validateSchema(item, schema.items, `${path}[${idx}]`)));
+  }
+
+  if (matchesSchemaType(value, 'object')) {
+    const child = key => (path ? `${path}.${key}` : key);
+    (schema.required || []).forEach(key => {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        issues.push({ path: child(key), message: 'is required' });
+      }
+    });
+    Object.keys(value).forEach(key => {
+      if (schema.properties?.[key]) {
+        issues.push(...validateSchema(value[key], schema.properties[key], child(key)));
+      }
+      Object.entries(schema.patternProperties || {}).forEach(([pattern, subschema]) => {
+        if (new RegExp(pattern).test(key)) issues.push(...validateSchema(value[key], subschema, child(key)));
+      });
+    });
+  }
+
+  return issues;
+}
+
+/**
+ * Check a value against a JSON Schema type name
+ * @param {*} value - Value to check
+ * @param {string} type - object, array, string, integer, number, boolean or null
+ * @returns {boolean} Whether the value has that type
+ */
+function matchesSchemaType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Describe the JSON type of a value for validation messages
+ * @param {*} value - Value to describe
+ * @returns {string} Type name
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Validate a loaded document and record any issues in state.dataQuality
+ * Issues already recorded (e.g. from a repeated fetch) are not duplicated
+ * @param {string} source - Document name shown in the notice, e.g. "latest.json"
+ * @param {*} doc - Parsed document
+ * @param {Object} schema - Schema to validate against
+ * @param {string} [path=''] - Path prefix, e.g. "[3]" for an array entry
+ * @returns {boolean} Whether the document is valid
+ */
+function checkDocument(source, doc, schema, path = '') {
+  const issues = validateSchema(doc, schema, path);
+  issues.forEach(issue => {
+    const known = state.dataQuality.some(q => q.source === source && q.path === issue.path && q.message === issue.message);
+    if (!known) state.dataQuality.push({ source, ...issue });
+  });
+  return issues.length === 0;
+}
+
+/**
+ * Keep only the entries of a loaded array that pass their schema
+ * @param {string} source - Document name shown in the notice, e.g. "history.json"
+ * @param {*} entries - Parsed document, expected to be an array
+ * @param {Object} schema - Schema each entry must satisfy
+ * @returns {Array<Object>} Valid entries, in original order
+ */
+function validEntries(source, entries, schema) {
+  if (!Array.isArray(entries)) {
+    checkDocument(source, entries, { type: 'array' });
+    return [];
+  }
+  return entries.filter((entry, idx) => checkDocument(source, entry, schema, `[${idx}]`));
+}
+
+// =============================================================================
+// Data Normalization
+// =============================================================================
+
+/**
+ * Upgrade a verification report from an older file format to the current one
+ * Runs before validation so legacy history entries are not rejected. Early
+ * reports named the per-suite checksum `our_sha256`; it becomes `sha256`.
+ * @param {*} report - Report as fetched
+ * @returns {*} Upgraded copy, or the input unchanged if it has no architectures
+ */
+function upgradeReport(report) {
+  const archs = report?.architectures;
+  if (!archs || typeof archs !== 'object' || Array.isArray(archs)) return report;
+
+  const architectures = {};
+  Object.keys(archs).forEach(arch => {
+    const suites = archs[arch]?.suites;
+    if (!suites || typeof suites !== 'object') {
+      architectures[arch] = archs[arch];
+      return;
+    }
+    const upgraded = {};
+    Object.keys(suites).forEach(suite => {
+      const { our_sha256: legacySha, ...data } = suites[suite] || {};
+      upgraded[suite] = legacySha !== undefined && data.sha256 === undefined
+        ? { ...data, sha256: legacySha }
+        : suites[suite];
+    });
+    architectures[arch] = { ...archs[arch], suites: upgraded };
+  });
+  return { ...report, architectures };
+}
+
+/**
+ * Convert a validated report into the model every stat and renderer reads
+ * - model_version is DATA_MODEL_VERSION
+ * - hasData is false for runs without suite results ("no data", not 0%)
+ * - build_time_seconds of 0 means not measured and becomes null
+ * - a missing official_sha256 becomes null
+ * @param {Object} report - Report in the current file format
+ * @returns {Object} Normalized copy
+ */
+function normalizeReport(report) {
+  let results = 0;
+  const architectures = {};
+  Object.keys(report.architectures).forEach(arch => {
+    const archData = report.architectures[arch];
+    const suites = {};
+    // Validation only checks known architecture keys; others may lack suites
+    const archSuites = archData.suites || {};
+    Object.keys(archSuites).forEach(suite => {
+      const data = archSuites[suite];
+      suites[suite] = {
+        ...data,
+        official_sha256: data.official_sha256 || null,
+        build_time_seconds: data.build_time_seconds > 0 ? data.build_time_seconds : null
+      };
+      results++;
+    });
+    architectures[arch] = { ...archData, suites };
+  });
+
+  return { ...report, model_version: DATA_MODEL_VERSION, hasData: results > 0, architectures };
+}
+
+// =============================================================================
+// Data Freshness
+// =============================================================================
+
+/**
+ * Find the serial of the latest consensus report
+ * The report itself carries no serial; it is the index entry with the same timestamp
+ * @param {Object} consensus - Latest consensus report
+ * @param {Array<Object>} index - Consensus archive index
+ * @returns {string|null}
+ */
+function consensusSerialOf(consensus, index) {
+  const entry = index.find(item => item.timestamp === consensus.timestamp);
+  return entry ? entry.serial : null;
+}
+
+/**
+ * Check each loaded feed's age and whether the feeds verified the same serial
+ * Feeds that failed to load are left out. Serial skew is measured against the
+ * reproduction report; placeholder serials are ignored.
+ * @param {Date} [now=new Date()] - Reference time
+ * @returns {{
+ *   feeds: Array<{feed: string, label: string, timestamp: string, serial: ?string, ageDays: number, maxAgeDays: number, stale: boolean}>,
+ *   stale: Array<Object>,
+ *   skewed: Array<Object>
+ * }} stale and skewed are subsets of feeds
+ */
+function checkFreshness(now = new Date()) {
+  const sources = {
+    latest: state.latest ? { timestamp: state.latest.timestamp, serial: state.latest.serial } : null,
+    consensus: state.consensus
+      ? { timestamp: state.consensus.timestamp, serial: consensusSerialOf(state.consensus, state.consensusIndex) }
+      : null,
+    registry: state.registry ? { timestamp: state.registry.timestamp, serial: state.registry.serial } : null
+  };
+
+  const feeds = [];
+  Object.entries(FEED_FRESHNESS).forEach(([feed, { label, maxAgeDays }]) => {
+    const source = sources[feed];
+    if (!source) return;
+    const ageDays = Math.max(0, Math.floor((now.getTime() - Date.parse(source.timestamp)) / DAY_MS));
+    const serial = /^\d{8}$/.test(source.serial || '') ? source.serial : null;
+    feeds.push({ feed, label, timestamp: source.timestamp, serial, ageDays, maxAgeDays, stale: ageDays > maxAgeDays });
+  });
+
+  const reference = feeds.find(item => item.feed === 'latest')?.serial;
+  return {
+    feeds,
+    stale: feeds.filter(item => item.stale),
+    skewed: reference
+      ? feeds.filter(item => item.feed !== 'latest' && item.serial && item.serial !== reference)
+      : []
+  };
+}
+
+// =============================================================================
+// Change Alerts
+// =============================================================================
+
+/**
+ * Capture the figures change alerts compare across a refresh
+ * @returns {{serial: ?string, rate: ?number, disagreements: ?number, registryStatus: ?string, registrySerial: ?string}}
+ */
+function snapshotAlerts() {
+  return {
+    serial: state.latest ? state.latest.serial : null,
+    rate: state.latest ? calculateStats(state.latest).rate : null,
+    disagreements: state.consensus ? state.consensus.summary.disagreements : null,
+    registryStatus: state.registry ? state.registry.status : null,
+    registrySerial: state.registry ? state.registry.serial : null
+  };
+}
+
+/**
+ * Describe regressions between two snapshots: a lower reproducibility rate,
+ * new consensus disagreements, or registry verification turning to fail
+ * @param {Object} before - snapshotAlerts() before the refresh
+ * @param {Object} after - snapshotAlerts() after the refresh
+ * @returns {Array<string>} Alert messages (empty when nothing regressed)
+ */
+function describeAlerts(before, after) {
+  const alerts = [];
+  if (before.rate !== null && after.rate !== null && after.rate < before.rate) {
+    alerts.push(`Reproducibility dropped from ${before.rate}% to ${after.rate}% (serial ${after.serial})`);
+  }
+  if (after.disagreements > 0 && after.disagreements > (before.disagreements ?? 0)) {
+    alerts.push(`Consensus disagreement: ${after.disagreements} combination${after.disagreements === 1 ? ' disagrees' : 's disagree'} across platforms`);
+  }
+  if (after.registryStatus === 'fail' && before.registryStatus !== 'fail') {
+    alerts.push(`Registry verification failed for serial ${after.registrySerial}`);
+  }
+  return alerts;
+}
+
+/**
+ * Show a browser notification per alert when notifications are enabled
+ * @param {Array<string>} alerts - Alert messages
+ */
+function notifyChanges(alerts) {
+  if (!state.notify || typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  alerts.forEach(body => new Notification(NOTIFICATION_TITLE, { body }));
+}
+
+/**
+ * Enable or disable change notifications, asking for permission if needed
+ * @param {boolean} enabled - Requested setting
+ * @returns {Promise<void>}
+ */
+async function setNotifications(enabled) {
+  let granted = enabled;
+  if (enabled && Notification.permission !== 'granted') {
+    granted = (await Notification.requestPermission()) === 'granted';
+  }
+  state.notify = granted;
+  renderSourceStatus();
+}
+
+// =============================================================================
+// Trend Analysis
+// =============================================================================
+
+/**
+ * Compute the time range covered by a trend window
+ * The window ends at the report being viewed, not at the wall clock, so
+ * time-travel and stale data still show a meaningful range
+ * @param {Array<Object>} history - History entries in chronological order
+ * @param {string} windowKey - Key from TREND_WINDOWS
+ * @param {string} endTimestamp - ISO timestamp the window ends at
+ * @returns {{start: number, end: number}} Range in milliseconds
+ */
+function trendWindowRange(history, windowKey, endTimestamp) {
+  const times = history.map(report => Date.parse(report.timestamp)).filter(t => !Number.isNaN(t));
+  const end = Date.parse(endTimestamp) || Math.max(...times);
+  const win = TREND_WINDOWS.find(w => w.key === windowKey) || TREND_WINDOWS[TREND_WINDOWS.length - 1];
+  const start = win.days ? end - win.days * DAY_MS : Math.min(...times);
+  return { start, end };
+}
+
+/**
+ * Build reproducibility series (overall, per architecture, per suite)
+ * Runs are bucketed by UTC day, or by serial so rebuilds of one serial count
+ * as a single point. Each point is placed at its bucket's last run, so it
+ * stays inside the window that ends at the viewed report; runs with no results
+ * add no data point. Missing expected combinations count as not reproducible,
+ * so the overall points match calculateStats()
+ * @param {Array<Object>} history - History entries in chronological order
+ * @param {number} start - Window start (ms, inclusive)
+ * @param {number} end - Window end (ms, inclusive)
+ * @param {string} [group='run'] - Key from HISTORY_GROUPS
+ * @returns {{
+ *   overall: Array<Object>,
+ *   archs: Object<string, Array<Object>>,
+ *   suites: Object<string, Array<Object>>
+ * }} Each point: {day, time, rate, reproducible, total, runs}, plus serial when grouped by serial
+ */
+function calculateTrendSeries(history, start, end, group = 'run') {
+  const bySerial = group === 'serial';
+  const buckets = {};
+  const add = (series, key, bucketKey, time, report, reproducible) => {
+    series[key] = series[key] || {};
+    const bucket = series[key][bucketKey] || (series[key][bucketKey] = { time, reproducible: 0, total: 0, runs: [] });
+    bucket.time = Math.max(bucket.time, time);
+    bucket.total++;
+    if (reproducible) bucket.reproducible++;
+    if (!bucket.runs.some(run => run.run_id === report.run_id)) {
+      bucket.runs.push({ run_id: report.run_id, serial: report.serial });
+    }
+  };
+
+  history.forEach(report => {
+    const time = Date.parse(report.timestamp);
+    if (Number.isNaN(time) || time < start || time > end) return;
+    const day = new Date(time).toISOString().substring(0, 10);
+    const bucketKey = bySerial ? report.serial : day;
+
+    const addResult = (arch, suite, reproducible) => {
+      add(buckets, 'overall', bucketKey, time, report, reproducible);
+      add(buckets, `arch:${arch}`, bucketKey, time, report, reproducible);
+      add(buckets, `suite:${suite}`, bucketKey, time, report, reproducible);
+    };
+    forEachSuiteResult(report, (arch, suite, data) => addResult(arch, suite, data.reproducible));
+    // Missing expected combinations count as not reproducible, as in calculateStats()
+    findMissingCoverage(report).forEach(({ arch, suite }) => addResult(arch, suite, false));
+  });
+
+  const toPoints = bucketsByKey => Object.keys(bucketsByKey)
+    .map(key => ({ key, ...bucketsByKey[key] }))
+    .sort((a, b) => a.time - b.time)
+    .map(bucket => ({
+      day: new Date(bucket.time).toISOString().substring(0, 10),
+      ...(bySerial ? { serial: bucket.key } : {}),
+      time: bucket.time,
+      rate: Math.round((bucket.reproducible / bucket.total) * 100),
+      reproducible: bucket.reproducible,
+      total: bucket.total,
+      runs: bucket.runs
+    }));
+
+  const series = { overall: toPoints(buckets.overall || {}), archs: {}, suites: {} };
+  Object.keys(buckets).forEach(key => {
+    if (key.startsWith('arch:')) series.archs[key.substring(5)] = toPoints(buckets[key]);
+    if (key.startsWith('suite:')) series.suites[key.substring(6)] = toPoints(buckets[key]);
+  });
+  return series;
+}
+
+// =============================================================================
+// Calendar Heatmap
+// =============================================================================
+
+/**
+ * Lay out history as calendar weeks (UTC, Sunday first) from the first to the
+ * last run's day
+ * A day's rate pools calculateStats() over its runs with results, so two runs
+ * count twice as much as one; days whose runs all lack results have rate null.
+ * Runs whose timestamp is not a real date are left out.
+ * @param {Array<Object>} history - Normalized reports, oldest first
+ * @returns {Array<Array<{date: string, rate: number|null, runs: Array<{run_id: string, timestamp: string, serial: string, rate: number|null}>}|null>>}
+ *   Weeks of up to 7 days; null before the first run's day
+ */
+function calculateCalendar(history) {
+  const byDay = {};
+  history.forEach(report => {
+    const time = Date.parse(report.timestamp);
+    if (Number.isNaN(time)) return;
+    const date = new Date(time).toISOString().slice(0, 10);
+    (byDay[date] = byDay[date] || []).push({ report, stats: calculateStats(report) });
+  });
+
+  const dates = Object.keys(byDay).sort();
+  if (dates.length === 0) return [];
+  const first = Date.parse(dates[0]);
+  const last = Date.parse(dates[dates.length - 1]);
+  const weeks = [];
+  for (let time = first - new Date(first).getUTCDay() * DAY_MS; time <= last; time += DAY_MS) {
+    if (new Date(time).getUTCDay() === 0) weeks.push([]);
+    const date = new Date(time).toISOString().slice(0, 10);
+    const entries = byDay[date] || [];
+    const measured = entries.filter(({ stats }) => stats.rate !== null);
+    const reproducible = measured.reduce((sum, { stats }) => sum + stats.reproducibleSuites, 0);
+    const expected = measured.reduce((sum, { stats }) => sum + stats.totalSuites + stats.missingSuites, 0);
+
+    weeks[weeks.length - 1].push(time < first ? null : {
+      date,
+      rate: measured.length > 0 ? Math.round((reproducible / expected) * 100) : null,
+      runs: entries.map(({ report, stats }) => ({
+        run_id: String(report.run_id),
+        timestamp: report.timestamp,
+        serial: report.serial,
+        rate: stats.rate
+      }))
+    });
+  }
+  return weeks;
+}
+
+/**
+ * Pick the heatmap colour class for a day's rate
+ * @param {number|null} rate - Day rate (0-100), or null when no run had results
+ * @returns {string} CSS class
+ */
+function calendarLevel(rate) {
+  if (rate === null) return 'day-nodata';
+  return CALENDAR_LEVELS.find(level => rate >= level.min).className;
+}
+
+// =============================================================================
+// Serial Grouping
+// =============================================================================
+
+/**
+ * Group history runs by Debian serial
+ * Rebuilding a serial must reproduce the same checksum, so a combination
+ * whose rebuilds disagree is flagged. Only hex checksums are compared;
+ * 'build-failed' and 'pending...' results count as rebuilds but not as
+ * checksums.
+ * @param {Array<Object>} history - History entries in chronological order
+ * @returns {Array<{
+ *   serial: string,
+ *   runs: Array<{run_id: string, timestamp: string, hasData: boolean}>,
+ *   firstVerified: string,
+ *   lastVerified: string,
+ *   cells: Array<{
+ *     arch: string,
+ *     suite: string,
+ *     rebuilds: number,
+ *     reproducible: number,
+ *     checksums: Array<string>,
+ *     sameChecksum: ?boolean
+ *   }>,
+ *   rebuilt: number,
+ *   differing: number
+ * }>} One entry per serial in order of first verification; cells sorted by
+ *   name, sameChecksum null when no hex checksum was recorded
+ */
+function groupRunsBySerial(history) {
+  const groups = {};
+  const order = [];
+
+  history.forEach(report => {
+    if (!groups[report.serial]) {
+      groups[report.serial] = { serial: report.serial, runs: [], cells: {} };
+      order.push(report.serial);
+    }
+    const group = groups[report.serial];
+    group.runs.push({ run_id: report.run_id, timestamp: report.timestamp, hasData: report.hasData });
+
+    forEachSuiteResult(report, (arch, suite, data) => {
+      const key = `${arch}/${suite}`;
+      const cell = group.cells[key] || (group.cells[key] = { arch, suite, rebuilds: 0, reproducible: 0, checksums: [] });
+      cell.rebuilds++;
+      if (data.reproducible) cell.reproducible++;
+      const sha = isSha256(data.sha256) ? data.sha256.toLowerCase() : null;
+      if (sha && !cell.checksums.includes(sha)) cell.checksums.push(sha);
+    });
+  });
+
+  return order.map(serial => {
+    const group = groups[serial];
+    const times = group.runs.map(run => run.timestamp).sort((a, b) => Date.parse(a) - Date.parse(b));
+    const cells = Object.keys(group.cells).sort().map(key => {
+      const cell = group.cells[key];
+      return { ...cell, sameChecksum: cell.checksums.length > 0 ? cell.checksums.length === 1 : null };
+    });
+
+    return {
+      serial,
+      runs: group.runs,
+      firstVerified: times[0],
+      lastVerified: times[times.length - 1],
+      cells,
+      rebuilt: cells.filter(cell => cell.rebuilds > 1).length,
+      differing: cells.filter(cell => cell.sameChecksum === false).length
+    };
+  });
+}
+
+/**
+ * Find a combination's rebuild results within one serial
+ * @param {Object} group - Entry from groupRunsBySerial()
+ * @param {string} arch - Architecture name
+ * @param {string} suite - Suite name
+ * @returns {Object|null} Cell from groupRunsBySerial(), or null if never built
+ */
+function findSerialCell(group, arch, suite) {
+  return group.cells.find(cell => cell.arch === arch && cell.suite === suite) || null;
+}
+
+// =============================================================================
+// Stability Analysis
+// =============================================================================
+
+/**
+ * Compute stability metrics for every architecture/suite combination seen
+ * in the last STABILITY_RUNS runs of history
+ * @param {Array<Object>} history - History entries in chronological order
+ * @returns {Array<Object>} Metrics from calculateCellStability(), one per combination
+ */
+function calculateStability(history) {
+  const recent = history.slice(-STABILITY_RUNS);
+  const cells = {};
+  recent.forEach(report => {
+    forEachSuiteResult(report, (arch, suite) => {
+      cells[`${arch}/${suite}`] = { arch, suite };
+    });
+  });
+
+  return Object.values(cells).map(({ arch, suite }) => calculateCellStability(recent, arch, suite));
+}
+
+/**
+ * Compute stability metrics for one architecture/suite combination
+ * Runs that did not build the combination are skipped, so they neither
+ * break a streak nor count as a flip
+ * @param {Array<Object>} history - History entries in chronological order
+ * @param {string} arch - Architecture name
+ * @param {string} suite - Suite name
+ * @returns {?{
+ *   arch: string,
+ *   suite: string,
+ *   runs: number,
+ *   passes: number,
+ *   passRate: number,
+ *   flips: number,
+ *   streak: {reproducible: boolean, length: number},
+ *   lastFailure: string|null,
+ *   label: string
+ * }} Metrics, or null when the combination never appears
+ */
+function calculateCellStability(history, arch, suite) {
+  const results = [];
+  history.forEach(report => {
+    const suiteData = report.architectures?.[arch]?.suites?.[suite];
+    if (suiteData) results.push({ reproducible: Boolean(suiteData.reproducible), timestamp: report.timestamp });
+  });
+  if (results.length === 0) return null;
+
+  let flips = 0;
+  let lastFailure = null;
+  results.forEach((result, idx) => {
+    if (idx > 0 && result.reproducible !== results[idx - 1].reproducible) flips++;
+    if (!result.reproducible) lastFailure = result.timestamp;
+  });
+
+  const latest = results[results.length - 1];
+  let streakLength = 0;
+  for (let i = results.length - 1; i >= 0 && results[i].reproducible === latest.reproducible; i--) {
+    streakLength++;
+  }
+
+  const passes = results.filter(result => result.reproducible).length;
+  const stats = {
+    arch,
+    suite,
+    runs: results.length,
+    passes,
+    passRate: Math.round((passes / results.length) * 100),
+    flips,
+    streak: { reproducible: latest.reproducible, length: streakLength },
+    lastFailure
+  };
+  stats.label = classifyStability(stats);
+  return stats;
+}
+
+/**
+ * Classify a combination from its stability metrics
+ * A cell that used to pass and now keeps failing is regressed; one that
+ * keeps flipping is flaky; anything else (steadily passing or steadily
+ * broken) is stable
+ * @param {Object} stats - Metrics with passes, flips and streak
+ * @returns {string} 'regressed', 'flaky' or 'stable'
+ */
+function classifyStability(stats) {
+  const failing = !stats.streak.reproducible;
+  if (failing && stats.passes > 0 &&
+      (stats.flips < FLAKY_MIN_FLIPS || stats.streak.length >= REGRESSION_MIN_STREAK)) {
+    return 'regressed';
+  }
+  if (stats.flips >= FLAKY_MIN_FLIPS) return 'flaky';
+  return 'stable';
+}
+
+/**
+ * Index stability metrics by "arch/suite"
+ * @param {Array<Object>} stability - Metrics from calculateStability()
+ * @returns {Object<string, Object>} Metrics keyed by combination
+ */
+function indexStability(stability) {
+  const index = {};
+  stability.forEach(stats => {
+    index[`${stats.arch}/${stats.suite}`] = stats;
+  });
+  return index;
+}
+
+/**
+ * Rank combinations that are not stable, or that flipped at all
+ * Most flips first, then lowest pass rate, then name
+ * @param {Array<Object>} stability - Metrics from calculateStability()
+ * @returns {Array<Object>} Ranked metrics
+ */
+function rankUnstable(stability) {
+  return stability
+    .filter(stats => stats.label !== 'stable' || stats.flips > 0)
+    .sort((a, b) =>
+      b.flips - a.flips ||
+      a.passRate - b.passRate ||
+      `${a.arch}/${a.suite}`.localeCompare(`${b.arch}/${b.suite}`));
+}
+
+// =============================================================================
+// Build Time Analytics
+// =============================================================================
+
+/**
+ * Compute build-time history statistics for every architecture/suite
+ * A zero build time means "not measured" and is excluded from all figures
+ * @param {Array<Object>} history - History entries in chronological order
+ * @returns {Array<{
+ *   arch: string,
+ *   suite: string,
+ *   runs: number,
+ *   measured: number,
+ *   median: number,
+ *   p90: number,
+ *   latest: number|null,
+ *   latestSlow: boolean,
+ *   slowRuns: Array<{run_id: string, timestamp: string, seconds: number, baseline: number}>
+ * }>} One entry per combination with at least one measured build, sorted by name
+ */
+function calculateBuildTimeStats(history) {
+  const cells = {};
+  history.forEach(report => {
+    forEachSuiteResult(report, (arch, suite, data) => {
+      const key = `${arch}/${suite}`;
+      const cell = cells[key] || (cells[key] = { arch, suite, runs: 0, samples: [] });
+      cell.runs++;
+      if (data.build_time_seconds !== null) {
+        cell.samples.push({ run_id: report.run_id, timestamp: report.timestamp, seconds: data.build_time_seconds });
+      }
+    });
+  });
+
+  const latestReport = history[history.length - 1];
+  return Object.keys(cells).sort().map(key => cells[key]).filter(cell => cell.samples.length > 0).map(cell => {
+    const seconds = cell.samples.map(sample => sample.seconds);
+    const slowRuns = findSlowBuilds(cell.samples);
+    const latest = latestReport.architectures[cell.arch]?.suites[cell.suite]?.build_time_seconds ?? null;
+
+    return {
+      arch: cell.arch,
+      suite: cell.suite,
+      runs: cell.runs,
+      measured: seconds.length,
+      median: percentile(seconds, 50),
+      p90: percentile(seconds, 90),
+      latest,
+      latestSlow: latest !== null && slowRuns.some(run => run.run_id === latestReport.run_id),
+      slowRuns
+    };
+  });
+}
+
+/**
+ * Flag builds much slower than their rolling baseline
+ * The baseline is the median of up to BUILD_BASELINE_RUNS previous measured
+ * builds; nothing is flagged until BUILD_BASELINE_MIN builds exist
+ * @param {Array<{run_id: string, timestamp: string, seconds: number}>} samples - Measured builds in time order
+ * @returns {Array<{run_id: string, timestamp: string, seconds: number, baseline: number}>} Slow builds
+ */
+function findSlowBuilds(samples) {
+  const slow = [];
+  samples.forEach((sample, idx) => {
+    const previous = samples.slice(Math.max(0, idx - BUILD_BASELINE_RUNS), idx).map(s => s.seconds);
+    if (previous.length < BUILD_BASELINE_MIN) return;
+
+    const baseline = percentile(previous, 50);
+    if (sample.seconds > baseline * BUILD_SLOWDOWN_FACTOR) {
+      slow.push({ ...sample, baseline });
+    }
+  });
+  return slow;
+}
+
+/**
+ * Nearest-rank percentile
+ * @param {Array<number>} values - Sample values (any order)
+ * @param {number} p - Percentile, 0-100
+ * @returns {number} Percentile value, or 0 for an empty sample
+ */
+function percentile(values, p) {
+  if (values.length === 0) return 0;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const rank = Math.max(1, Math.ceil((p / 100) * sorted.length));
+  return sorted[rank - 1];
+}
+
+// =============================================================================
+// Environment Drift
+// =============================================================================
+
+/**
+ * Check whether a report recorded its build environment
+ * @param {Object} [environment] - Report environment
+ * @returns {boolean}
+ */
+function hasEnvironment(environment) {
+  return Boolean(environment?.os);
+}
+
+/**
+ * Diff two report environments field by field
+ * @param {Object} [base] - Earlier environment
+ * @param {Object} [target] - Later environment
+ * @param {Array<string>} ignored - Flattened field names to skip
+ * @returns {Array<{field: string, from: *, to: *}>|null} Changed fields, sorted
+ *   by name; null when only one side recorded an environment (nothing to diff)
+ */
+function diffEnvironment(base, target, ignored) {
+  if (hasEnvironment(base) !== hasEnvironment(target)) return null;
+  const baseEnv = flattenObject(base || {});
+  const targetEnv = flattenObject(target || {});
+  const fields = new Set([...Object.keys(baseEnv), ...Object.keys(targetEnv)]);
+
+  return Array.from(fields).sort()
+    .filter(field => !ignored.includes(field) && baseEnv[field] !== targetEnv[field])
+    .map(field => ({ field, from: baseEnv[field], to: targetEnv[field] }));
+}
+
+/**
+ * Find runs whose build environment differs from the run before them
+ * Runs without a recorded environment are skipped rather than treated as changes
+ * @param {Array<Object>} history - History entries in chronological order
+ * @returns {Array<{
+ *   run_id: string,
+ *   serial: string,
+ *   timestamp: string,
+ *   changes: Array<{field: string, from: *, to: *}>,
+ *   rate: ?number,
+ *   previousRate: ?number
+ * }>} One entry per run with drift, oldest first
+ */
+function detectEnvironmentDrift(history) {
+  const drift = [];
+  let previous = null;
+
+  history.forEach(report => {
+    if (!hasEnvironment(report.environment)) return;
+    if (previous) {
+      const changes = diffEnvironment(previous.environment, report.environment, ENV_DRIFT_IGNORED);
+      if (changes.length > 0) {
+        drift.push({
+          run_id: report.run_id,
+          serial: report.serial,
+          timestamp: report.timestamp,
+          changes,
+          rate: calculateStats(report).rate,
+          previousRate: calculateStats(previous).rate
+        });
+      }
+    }
+    previous = report;
+  });
+
+  return drift;
+}
+
+// =============================================================================
+// View Filters & Sorting
+// =============================================================================
+
+/**
+ * Parse matrix/details filter and sort state from a query string
+ * Format: ?arch=amd64,arm64&suite=trixie&status=failing&sort=time&dir=desc
+ * @param {string} search - Query string, with or without leading '?'
+ * @returns {{archs: Array<string>, suites: Array<string>, status: string, sort: string, dir: string}}
+ */
+function parseViewParams(search) {
+  const params = new URLSearchParams(search || '');
+  const list = key => (params.get(key) || '').split(',').map(v => v.trim()).filter(Boolean);
+  const status = params.get('status');
+  const sort = params.get('sort');
+
+  return {
+    archs: list('arch'),
+    suites: list('suite'),
+    status: VIEW_STATUS_FILTERS.includes(status) ? status : 'all',
+    sort: VIEW_SORT_KEYS.includes(sort) ? sort : 'name',
+    dir: params.get('dir') === 'desc' ? 'desc' : 'asc'
+  };
 }
 
 /**
- * Render status matrix table (primary data display)
- * Shows architecture × suite grid with status, build time, and sparklines
+ * Serialize view state to a query string, omitting defaults
+ * @param {Object} view - View state (see parseViewParams)
+ * @returns {string} Query string without leading '?', empty for defaults
  */
-function renderStatusMatrix() {
-  const container = document.getElementById('matrix-table');
-  const archs = state.latest.architectures;
-  const archKeys = Object.keys(archs).sort();
+function serializeViewParams(view) {
+  const params = new URLSearchParams();
+  if (view.archs.length > 0) params.set('arch', view.archs.join(','));
+  if (view.suites.length > 0) params.set('suite', view.suites.join(','));
+  if (view.status !== 'all') params.set('status', view.status);
+  if (view.sort !== 'name') params.set('sort', view.sort);
+  if (view.dir !== 'asc') params.set('dir', view.dir);
+  return params.toString().replace(/%2C/g, ',');
+}
 
-  if (archKeys.length === 0) {
-    container.innerHTML = '<p>No verification data available yet.</p>';
-    return;
-  }
+/**
+ * Update view state, mirror it into the query string and re-render
+ * @param {Object} changes - Partial view state to merge
+ */
+function setView(changes) {
+  state.view = { ...state.view, ...changes };
 
-  // Get all unique suites across architectures
-  const allSuites = new Set();
-  archKeys.forEach(arch => {
-    Object.keys(archs[arch].suites || {}).forEach(suite => allSuites.add(suite));
-  });
-  const suites = Array.from(allSuites).sort();
+  const query = serializeViewParams(state.view);
+  const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+  window.history.replaceState(null, '', url);
 
-  // Build table header
-  let html = '<table class="matrix"><thead><tr>';
-  html += '<th scope="col">Architecture</th>';
-  suites.forEach(suite => {
-    html += `<th scope="col">${suite}</th>`;
-  });
-  html += '<th scope="col">Success Rate</th>';
-  html += '</tr></thead><tbody>';
+  renderViewControls();
+  renderStatusMatrix();
+  renderDetailsTable();
+}
 
-  // Build table rows (one per architecture)
-  archKeys.forEach(arch => {
-    const archData = archs[arch];
-    const archSuites = archData.suites || {};
+/**
+ * Check whether an architecture/suite result passes the status filter
+ * Missing expected combinations count as failing. single and unchecked look
+ * at the consensus report shown in the consensus panel; a combination it
+ * does not compare is unchecked, not single-platform.
+ * @param {string} arch - Architecture name
+ * @param {string} suite - Suite name
+ * @param {Object|null} data - Suite result from report, null when missing
+ * @param {string} status - Status filter (all, failing, single, unchecked)
+ * @returns {boolean}
+ */
+function matchesStatusFilter(arch, suite, data, status) {
+  if (!data) return status === 'all' || status === 'failing';
+  if (status === 'failing') return !data.reproducible;
+  if (status === 'single' || status === 'unchecked') {
+    const comparison = (currentConsensusReport()?.comparisons || [])
+      .find(c => c.architecture === arch && c.suite === suite);
+    if (status === 'unchecked') return !comparison;
+    return Boolean(comparison) && classifyConsensusComparison(comparison) === 'single';
+  }
+  return true;
+}
 
-    html += `<tr><th scope="row">${arch}</th>`;
+/**
+ * List architecture/suite results that pass the view filters, followed by
+ * missing expected combinations (data null)
+ * @param {Object} report - Normalized verification report
+ * @param {Object} view - View state (see parseViewParams)
+ * @returns {Array<{arch: string, suite: string, data: ?Object}>}
+ */
+function filterDetailRows(report, view) {
+  const rows = [];
+  const add = (arch, suite, data) => {
+    if (view.archs.length > 0 && !view.archs.includes(arch)) return;
+    if (view.suites.length > 0 && !view.suites.includes(suite)) return;
+    if (!matchesStatusFilter(arch, suite, data, view.status)) return;
+    rows.push({ arch, suite, data });
+  };
+  forEachSuiteResult(report, add);
+  findMissingCoverage(report).forEach(({ arch, suite }) => add(arch, suite, null));
+  return rows;
+}
 
-    // Suite cells
-    suites.forEach(suite => {
-      const suiteData = archSuites[suite];
-      if (suiteData) {
-        const cellClass = suiteData.reproducible ? 'cell-pass' : 'cell-fail';
-        const status = suiteData.reproducible ? '✓' : '✗';
-        const time = suiteData.build_time_seconds || 0;
-        const sparkline = renderInlineSparkline(arch, suite);
+/**
+ * Sort detail rows by name, status (failures first) or build time
+ * @param {Array<{arch: string, suite: string, data: Object}>} rows - Rows to sort
+ * @param {Object} view - View state (see parseViewParams)
+ * @returns {Array<Object>} New sorted array
+ */
+function sortDetailRows(rows, view) {
+  const byName = (a, b) => a.arch.localeCompare(b.arch) || a.suite.localeCompare(b.suite);
+  // Unmeasured builds sort as the fastest; missing results sort as failures
+  const seconds = row => row.data?.build_time_seconds ?? 0;
+  const compare = {
+    name: byName,
+    status: (a, b) => Number(Boolean(a.data?.reproducible)) - Number(Boolean(b.data?.reproducible)) || byName(a, b),
+    time: (a, b) => seconds(a) - seconds(b) || byName(a, b)
+  }[view.sort] || byName;
 
-        html += `<td class="${cellClass}">
-          <div class="cell-content">
-            <span class="cell-status">${status}</span>
-            ${time > 0 ? `<span class="cell-time">${time}s</span>` : ''}
-            ${sparkline}
-          </div>
-        </td>`;
-      } else {
-        html += '<td class="cell-na">—</td>';
-      }
-    });
+  const sorted = rows.slice().sort(compare);
+  return view.dir === 'desc' ? sorted.reverse() : sorted;
+}
 
-    // Architecture success rate
-    const archStats = calculateArchStats(archData);
-    html += `<td>${archStats.rate}%</td>`;
-    html += '</tr>';
-  });
+/**
+ * Determine visible matrix rows (architectures) and columns (suites)
+ * Rows and columns without any result or missing expected combination
+ * passing the filters are dropped; rows are sorted by name, success rate
+ * or average build time
+ * @param {Object} report - Normalized verification report
+ * @param {Object} view - View state (see parseViewParams)
+ * @returns {{archKeys: Array<string>, suites: Array<string>}}
+ */
+function visibleMatrix(report, view) {
+  const rows = filterDetailRows(report, view);
+  const archSet = new Set(rows.map(row => row.arch));
+  const suites = Array.from(new Set(rows.map(row => row.suite))).sort();
+  const archs = report.architectures;
+  const missing = findMissingCoverage(report);
 
-  // Summary footer row
-  html += '</tbody><tfoot><tr>';
-  html += '<td>Overall</td>';
-  suites.forEach(suite => {
-    const suiteStats = calculateSuiteStats(suite, archs);
-    html += `<td>${suiteStats.rate}%</td>`;
-  });
-  const overallStats = calculateStats(state.latest);
-  html += `<td>${overallStats.rate}%</td>`;
-  html += '</tr></tfoot></table>';
+  const avgTime = arch => {
+    if (!archs[arch]) return 0;
+    const times = Object.values(archs[arch].suites).map(s => s.build_time_seconds).filter(t => t !== null);
+    return times.length > 0 ? times.reduce((sum, t) => sum + t, 0) / times.length : 0;
+  };
+  const rate = arch => calculateArchStats(archs[arch], missing.filter(cell => cell.arch === arch).length).rate;
+  const compare = {
+    name: (a, b) => a.localeCompare(b),
+    status: (a, b) => rate(a) - rate(b) || a.localeCompare(b),
+    time: (a, b) => avgTime(a) - avgTime(b) || a.localeCompare(b)
+  }[view.sort] || ((a, b) => a.localeCompare(b));
 
-  container.innerHTML = html;
+  const archKeys = Array.from(archSet).sort(compare);
+  if (view.dir === 'desc') archKeys.reverse();
+
+  return { archKeys, suites };
 }
 
+// =============================================================================
+// Run Comparison
+// =============================================================================
+
 /**
- * Render details table showing SHA256 checksums and build times
- * with inline bar charts for build duration comparison
+ * Compute differences between two verification reports
+ * @param {Object} base - Earlier report
+ * @param {Object} target - Later report
+ * @returns {{
+ *   meta: Array<{field: string, from: *, to: *}>,
+ *   archsAdded: Array<string>,
+ *   archsRemoved: Array<string>,
+ *   suitesAdded: Array<{arch: string, suite: string}>,
+ *   suitesRemoved: Array<{arch: string, suite: string}>,
+ *   statusFlips: Array<{arch: string, suite: string, from: boolean, to: boolean}>,
+ *   checksumChanges: Array<{arch: string, suite: string, field: string, from: string, to: string}>,
+ *   buildTimeDeltas: Array<{arch: string, suite: string, from: number, to: number, delta: number}>,
+ *   environment: Array<{field: string, from: *, to: *}>,
+ *   environmentUnrecorded: Array<string>
+ * }} environmentUnrecorded lists the run without an environment when only one has one
  */
-function renderDetailsTable() {
-  const container = document.getElementById('details-content');
-  const archs = state.latest.architectures;
-  const archKeys = Object.keys(archs).sort();
+function diffReports(base, target) {
+  const diff = {
+    meta: [],
+    archsAdded: [],
+    archsRemoved: [],
+    suitesAdded: [],
+    suitesRemoved: [],
+    statusFlips: [],
+    checksumChanges: [],
+    buildTimeDeltas: [],
+    environment: [],
+    environmentUnrecorded: []
+  };
 
-  if (archKeys.length === 0) {
-    container.innerHTML = '<p>No details available.</p>';
-    return;
-  }
+  ['serial', 'epoch'].forEach(field => {
+    if (base[field] !== target[field]) {
+      diff.meta.push({ field, from: base[field], to: target[field] });
+    }
+  });
 
-  // Find max build time for bar chart scaling
-  let maxBuildTime = 0;
-  archKeys.forEach(arch => {
-    Object.values(archs[arch].suites || {}).forEach(suite => {
-      maxBuildTime = Math.max(maxBuildTime, suite.build_time_seconds || 0);
-    });
+  const baseArchs = base.architectures;
+  const targetArchs = target.architectures;
+  diff.archsAdded = Object.keys(targetArchs).filter(a => !baseArchs[a]).sort();
+  diff.archsRemoved = Object.keys(baseArchs).filter(a => !targetArchs[a]).sort();
+
+  forEachSuiteResult(base, (arch, suite) => {
+    if (!targetArchs[arch]?.suites[suite]) diff.suitesRemoved.push({ arch, suite });
   });
 
-  // Build table
-  let html = '<table><thead><tr>';
-  html += '<th scope="col">Architecture</th>';
-  html += '<th scope="col">Suite</th>';
-  html += '<th scope="col">Status</th>';
-  html += '<th scope="col">SHA256</th>';
-  html += '<th scope="col">Build Time</th>';
-  html += '</tr></thead><tbody>';
+  forEachSuiteResult(target, (arch, suite, to) => {
+    const from = baseArchs[arch]?.suites[suite];
+    if (!from) {
+      diff.suitesAdded.push({ arch, suite });
+      return;
+    }
 
-  archKeys.forEach(arch => {
-    const archData = archs[arch];
-    const suiteEntries = Object.entries(archData.suites || {}).sort((a, b) =>
-      a[0].localeCompare(b[0])
-    );
-
-    suiteEntries.forEach(([suite, data], idx) => {
-      const status = data.reproducible ? '✓ Reproducible' : '✗ Not Reproducible';
-      const statusClass = data.reproducible ? 'cell-pass' : 'cell-fail';
-      const sha = data.sha256 || data.our_sha256 || 'N/A';
-      const shaShort = sha.substring(0, 8);
-      const buildTime = data.build_time_seconds || 0;
-      const barWidth = maxBuildTime > 0 ? (buildTime / maxBuildTime) * 100 : 0;
+    if (Boolean(from.reproducible) !== Boolean(to.reproducible)) {
+      diff.statusFlips.push({ arch, suite, from: Boolean(from.reproducible), to: Boolean(to.reproducible) });
+    }
 
-      html += '<tr>';
-      html += `<td>${idx === 0 ? arch : ''}</td>`;
-      html += `<td>${suite}</td>`;
-      html += `<td class="${statusClass}">${status}</td>`;
-      html += `<td><span class="sha256" data-full="${sha}" title="${sha}">${shaShort}…</span></td>`;
-      html += `<td>
-        <div class="build-time">
-          <span class="time-value">${buildTime}s</span>
-          <div class="time-bar" style="width: ${barWidth}%"></div>
-        </div>
-      </td>`;
-      html += '</tr>';
-    });
+    if (from.sha256 !== to.sha256) {
+      diff.checksumChanges.push({ arch, suite, field: 'sha256', from: from.sha256, to: to.sha256 });
+    }
+    if (from.official_sha256 !== to.official_sha256) {
+      diff.checksumChanges.push({ arch, suite, field: 'official_sha256', from: from.official_sha256, to: to.official_sha256 });
+    }
+
+    const fromTime = from.build_time_seconds;
+    const toTime = to.build_time_seconds;
+    if (fromTime !== null && toTime !== null && fromTime !== toTime) {
+      diff.buildTimeDeltas.push({ arch, suite, from: fromTime, to: toTime, delta: toTime - fromTime });
+    }
   });
 
-  html += '</tbody></table>';
-  container.innerHTML = html;
+  const environment = diffEnvironment(base.environment, target.environment, ENV_DIFF_IGNORED);
+  if (environment) {
+    diff.environment = environment;
+  } else {
+    diff.environmentUnrecorded.push(String((hasEnvironment(base.environment) ? target : base).run_id));
+  }
+
+  const bySlice = (a, b) => a.arch.localeCompare(b.arch) || a.suite.localeCompare(b.suite);
+  ['suitesAdded', 'suitesRemoved', 'statusFlips', 'checksumChanges', 'buildTimeDeltas'].forEach(key => {
+    diff[key].sort(bySlice);
+  });
+
+  return diff;
 }
 
 /**
- * Render 7-day history sparklines for each architecture
- * Shows trend of reproducibility rate over time
+ * Count the differences found by diffReports()
+ * @param {Object} diff - Result of diffReports()
+ * @returns {number} Total number of differences
  */
-function renderHistorySparklines() {
-  const container = document.getElementById('history-sparklines');
+function countDifferences(diff) {
+  return Object.values(diff).reduce((sum, list) => sum + list.length, 0);
+}
 
-  if (state.history.length < 2) {
-    container.innerHTML = '<p>Historical data will appear after multiple builds.</p>';
-    return;
-  }
+/**
+ * Flatten a nested object into dotted-path keys
+ * @param {Object} obj - Object to flatten
+ * @param {string} [prefix=''] - Key prefix for recursion
+ * @returns {Object<string, *>} Flat map of path to leaf value
+ */
+function flattenObject(obj, prefix = '') {
+  const flat = {};
+  Object.keys(obj).forEach(key => {
+    const value = obj[key];
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(flat, flattenObject(value, path));
+    } else {
+      flat[path] = value;
+    }
+  });
+  return flat;
+}
 
-  const archs = Object.keys(state.latest.architectures).sort();
-  const recentHistory = state.history.slice(-SPARKLINE_DAYS);
+// =============================================================================
+// Checksum Search
+// =============================================================================
 
-  let html = '<div class="history-sparklines">';
+/**
+ * Normalize a search query to lowercase hex
+ * Strips a leading "sha256:" prefix and surrounding whitespace
+ * @param {string} query - Raw search input
+ * @returns {string} Normalized query (may be empty)
+ */
+function normalizeHashQuery(query) {
+  const cleaned = (query || '').trim().toLowerCase().replace(/^sha256:/, '');
+  return /^[a-f0-9]+$/.test(cleaned) ? cleaned : '';
+}
 
-  archs.forEach(arch => {
-    // Calculate rates for this architecture across history
-    const rates = recentHistory.map(report => {
-      const archData = report.architectures[arch];
-      if (!archData) return null;
-      const stats = calculateArchStats(archData);
-      return stats.rate;
+/**
+ * Search every loaded dataset for a full or partial hash
+ * Covers verification reports (latest and history), consensus reports
+ * (latest and archived) and registry reports (latest and history)
+ * @param {string} needle - Normalized hex query
+ * @returns {Array<{
+ *   dataset: string,
+ *   arch: string,
+ *   suite: string,
+ *   serial: string|null,
+ *   runId: string|null,
+ *   platform: string|null,
+ *   field: string,
+ *   value: string,
+ *   timestamp: string|null,
+ *   verified: boolean
+ * }>}
+ */
+function searchChecksums(needle) {
+  const results = [];
+  const matches = value => typeof value === 'string' && value.toLowerCase().replace(/^sha256:/, '').includes(needle);
+
+  // Verification reports (latest is usually also the newest history entry)
+  const reports = state.history.slice();
+  if (state.latest && !reports.some(r => String(r.run_id) === String(state.latest.run_id))) {
+    reports.push(state.latest);
+  }
+  reports.forEach(report => {
+    forEachSuiteResult(report, (arch, suite, data) => {
+      const fields = {
+        sha256: data.sha256,
+        official_sha256: data.official_sha256
+      };
+      Object.entries(fields).forEach(([field, value]) => {
+        if (!matches(value)) return;
+        results.push({
+          dataset: 'report',
+          arch,
+          suite,
+          serial: report.serial || null,
+          runId: report.run_id ? String(report.run_id) : null,
+          platform: null,
+          field,
+          value,
+          timestamp: report.timestamp || null,
+          verified: Boolean(data.reproducible)
+        });
+      });
     });
+  });
 
-    const currentRate = rates[rates.length - 1] || 0;
-    const svg = generateSparklineSVG(rates);
+  // Consensus reports (latest plus any archived reports loaded)
+  const consensusReports = Object.entries(state.consensusArchive).map(([serial, report]) => ({ serial, report }));
+  if (state.consensus && !consensusReports.some(c => c.report.timestamp === state.consensus.timestamp)) {
+    const entry = state.consensusIndex.find(e => e.timestamp === state.consensus.timestamp);
+    consensusReports.push({ serial: entry ? entry.serial : null, report: state.consensus });
+  }
+  consensusReports.forEach(({ serial, report }) => {
+    report.comparisons.forEach(comparison => {
+      comparison.platform_results.forEach(result => {
+        if (!matches(result.sha256)) return;
+        const agrees = !comparison.consensus_checksum || result.sha256 === comparison.consensus_checksum;
+        results.push({
+          dataset: 'consensus',
+          arch: comparison.architecture,
+          suite: comparison.suite,
+          serial,
+          runId: null,
+          platform: result.platform,
+          field: 'platform sha256',
+          value: result.sha256,
+          timestamp: report.timestamp || null,
+          verified: Boolean(comparison.consensus) && !comparison.disagreement && agrees
+        });
+      });
+    });
+  });
 
-    html += `
-      <div class="sparkline-item">
-        <span class="sparkline-label">${arch}</span>
-        ${svg}
-        <span class="sparkline-value">${currentRate}%</span>
-      </div>
-    `;
+  // Registry reports (latest is usually also the newest history entry)
+  const registryReports = state.registryHistory.slice();
+  if (state.registry && !registryReports.some(r => r.timestamp === state.registry.timestamp)) {
+    registryReports.push(state.registry);
+  }
+  registryReports.forEach(report => {
+    report.results.forEach(result => {
+      ['dockerhub_diffid', 'artifacts_diffid'].forEach(field => {
+        if (!matches(result[field])) return;
+        results.push({
+          dataset: 'registry',
+          arch: result.architecture,
+          suite: result.suite,
+          serial: report.serial || null,
+          runId: null,
+          platform: result.image || null,
+          field,
+          value: result[field],
+          timestamp: report.timestamp || null,
+          verified: result.status === 'match'
+        });
+      });
+    });
   });
 
-  html += '</div>';
-  container.innerHTML = html;
+  return results;
 }
 
 /**
- * Update "last updated" timestamp in footer
+ * Find every occurrence of an exact checksum across loaded datasets
+ * @param {string} hash - Full SHA256 (hex, any case, optional sha256: prefix)
+ * @returns {Array<Object>} Occurrences as returned by searchChecksums()
  */
-function updateLastUpdate() {
-  const el = document.getElementById('last-update');
-  if (el && state.latest) {
-    el.textContent = formatDateLong(state.latest.timestamp);
-  }
+function findChecksumMatches(hash) {
+  const needle = normalizeHashQuery(hash);
+  if (needle.length !== 64) return [];
+  return searchChecksums(needle).filter(result =>
+    result.value.toLowerCase().replace(/^sha256:/, '') === needle
+  );
 }
 
 // =============================================================================
-// Statistics Calculations
+// Local File Hashing
 // =============================================================================
 
+/** @const {Uint32Array} SHA-256 round constants */
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
 /**
- * Calculate overall statistics from a verification report
- * @param {Object} report - Verification report object
- * @returns {{
- *   totalArchs: number,
- *   successfulArchs: number,
- *   totalSuites: number,
- *   reproducibleSuites: number,
- *   rate: number,
- *   avgBuildTime: number
- * }}
+ * Create an incremental SHA-256 hasher
+ * WebCrypto's digest() needs the whole input in memory; this streams
+ * chunks so multi-hundred-megabyte tarballs can be hashed
+ * @returns {{update: function((Uint8Array|ArrayBuffer)): Object, digest: function(): string}}
  */
-function calculateStats(report) {
-  const archs = report.architectures || {};
-  const archKeys = Object.keys(archs);
+function createSha256() {
+  const h = new Uint32Array([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+    0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+  ]);
+  const w = new Uint32Array(64);
+  const block = new Uint8Array(64);
+  let blockLength = 0;
+  let totalLength = 0;
 
-  let totalSuites = 0;
-  let reproducibleSuites = 0;
-  let totalBuildTime = 0;
-  let successfulArchs = 0;
+  const compress = (bytes, offset) => {
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const x = w[i - 15];
+      const y = w[i - 2];
+      const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+      const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
 
-  archKeys.forEach(arch => {
-    const archData = archs[arch];
-    if (archData.status === 'success') successfulArchs++;
+    let a = h[0];
+    let b = h[1];
+    let c = h[2];
+    let d = h[3];
+    let e = h[4];
+    let f = h[5];
+    let g = h[6];
+    let k = h[7];
 
-    Object.values(archData.suites || {}).forEach(suite => {
-      totalSuites++;
-      if (suite.reproducible) reproducibleSuites++;
-      totalBuildTime += suite.build_time_seconds || 0;
-    });
-  });
+    for (let i = 0; i < 64; i++) {
+      const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (k + S1 + ch + SHA256_K[i] + w[i]) | 0;
+      const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (S0 + maj) | 0;
+      k = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
 
-  const rate = totalSuites > 0
-    ? Math.round((reproducibleSuites / totalSuites) * 100)
-    : 0;
+    h[0] += a;
+    h[1] += b;
+    h[2] += c;
+    h[3] += d;
+    h[4] += e;
+    h[5] += f;
+    h[6] += g;
+    h[7] += k;
+  };
 
-  const avgBuildTime = totalSuites > 0
-    ? Math.round(totalBuildTime / totalSuites)
-    : 0;
+  const hasher = {
+    update(data) {
+      const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+      totalLength += bytes.length;
+      let offset = 0;
 
-  return {
-    totalArchs: archKeys.length,
-    successfulArchs,
-    totalSuites,
-    reproducibleSuites,
-    rate,
-    avgBuildTime
-  };
-}
+      // Complete a partially filled block first
+      if (blockLength > 0) {
+        const take = Math.min(64 - blockLength, bytes.length);
+        block.set(bytes.subarray(0, take), blockLength);
+        blockLength += take;
+        offset = take;
+        if (blockLength < 64) return hasher;
+        compress(block, 0);
+        blockLength = 0;
+      }
 
-/**
- * Calculate statistics for a single architecture
- * @param {Object} archData - Architecture data from report
- * @returns {{total: number, reproducible: number, rate: number}}
- */
-function calculateArchStats(archData) {
-  const suites = Object.values(archData.suites || {});
-  const total = suites.length;
-  const reproducible = suites.filter(s => s.reproducible).length;
-  const rate = total > 0 ? Math.round((reproducible / total) * 100) : 0;
+      for (; offset + 64 <= bytes.length; offset += 64) {
+        compress(bytes, offset);
+      }
 
-  return { total, reproducible, rate };
-}
+      if (offset < bytes.length) {
+        block.set(bytes.subarray(offset), 0);
+        blockLength = bytes.length - offset;
+      }
+      return hasher;
+    },
 
-/**
- * Calculate statistics for a single suite across all architectures
- * @param {string} suite - Suite name
- * @param {Object} archs - All architectures from report
- * @returns {{total: number, reproducible: number, rate: number}}
- */
-function calculateSuiteStats(suite, archs) {
-  let total = 0;
-  let reproducible = 0;
+    digest() {
+      // Message length in bits as a 64-bit big-endian integer
+      const bitsHigh = Math.floor(totalLength / 0x20000000);
+      const bitsLow = (totalLength % 0x20000000) * 8;
+      const padLength = blockLength < 56 ? 56 - blockLength : 120 - blockLength;
+      const padding = new Uint8Array(padLength + 8);
+      const view = new DataView(padding.buffer);
+      padding[0] = 0x80;
+      view.setUint32(padLength, bitsHigh);
+      view.setUint32(padLength + 4, bitsLow);
+      hasher.update(padding);
 
-  Object.values(archs).forEach(archData => {
-    const suiteData = (archData.suites || {})[suite];
-    if (suiteData) {
-      total++;
-      if (suiteData.reproducible) reproducible++;
+      return Array.from(h, word => word.toString(16).padStart(8, '0')).join('');
     }
-  });
+  };
 
-  const rate = total > 0 ? Math.round((reproducible / total) * 100) : 0;
-  return { total, reproducible, rate };
+  return hasher;
+}
+
+/**
+ * Hash a Blob/File in chunks with SHA-256
+ * @param {Blob} file - File to hash
+ * @param {function(number): void} [onProgress] - Called with fraction complete (0–1)
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+async function hashFile(file, onProgress) {
+  const hasher = createSha256();
+  for (let offset = 0; offset < file.size; offset += HASH_CHUNK_SIZE) {
+    const chunk = await file.slice(offset, offset + HASH_CHUNK_SIZE).arrayBuffer();
+    hasher.update(chunk);
+    if (onProgress) onProgress(Math.min(offset + HASH_CHUNK_SIZE, file.size) / file.size);
+  }
+  return hasher.digest();
 }
 
 // =============================================================================
@@ -481,61 +4461,112 @@ function calculateSuiteStats(suite, archs) {
 
 /**
  * Render inline sparkline SVG for a specific architecture/suite combo
- * Shows last 7 data points as a tiny line chart
+ * Plots the last 7 runs, or the last 7 serials (share of reproducible
+ * rebuilds) when history is grouped by serial; runs or serials where the
+ * combination is absent show as gaps
  * @param {string} arch - Architecture name
  * @param {string} suite - Suite name
  * @returns {string} SVG HTML string or empty string
  */
 function renderInlineSparkline(arch, suite) {
-  if (state.history.length < 2) return '';
+  const history = historyWindow();
+  if (history.length < 2) return '';
 
-  const recent = state.history.slice(-SPARKLINE_DAYS);
-  const values = recent.map(report => {
-    const archData = report.architectures[arch];
-    const suiteData = (archData?.suites || {})[suite];
-    return suiteData ? (suiteData.reproducible ? 1 : 0) : null;
-  }).filter(v => v !== null);
+  if (state.historyGroup === 'serial') {
+    const points = groupRunsBySerial(history).slice(-SPARKLINE_DAYS).map(group => {
+      const cell = findSerialCell(group, arch, suite);
+      return {
+        time: Date.parse(group.lastVerified),
+        rate: cell ? Math.round((cell.reproducible / cell.rebuilds) * 100) : null
+      };
+    });
+    return generateSparklineSVG(points, { label: `${arch}/${suite}`, unit: 'serials', width: 40, height: 16 });
+  }
 
-  if (values.length < 2) return '';
+  const points = history.slice(-SPARKLINE_DAYS).map(report => {
+    const suiteData = report.architectures[arch]?.suites[suite];
+    return {
+      time: Date.parse(report.timestamp),
+      rate: suiteData ? (suiteData.reproducible ? 100 : 0) : null
+    };
+  });
 
-  return generateSparklineSVG(values, 40, 16);
+  return generateSparklineSVG(points, { label: `${arch}/${suite}`, width: 40, height: 16 });
 }
 
 /**
- * Generate sparkline SVG from array of values
- * @param {Array<number>} values - Data points to plot
- * @param {number} [width=100] - SVG width in pixels
- * @param {number} [height=24] - SVG height in pixels
- * @returns {string} SVG HTML string
+ * Summarize a sparkline series as text, e.g. "amd64: 100% in 7 of 7 runs"
+ * @param {string} label - Series name
+ * @param {Array<{time: number, rate: ?number}>} points - Series points
+ * @param {string} [unit='runs'] - What each point stands for
+ * @returns {string} Text alternative for the chart
  */
-function generateSparklineSVG(values, width = 100, height = 24) {
-  if (!values || values.length < 2) return '';
+function describeSparkline(label, points, unit = 'runs') {
+  const measured = points.filter(point => point.rate !== null);
+  const full = measured.filter(point => point.rate === 100).length;
+  let text = `${label}: 100% in ${full} of ${points.length} ${unit}`;
 
-  const filteredValues = values.filter(v => v !== null);
-  if (filteredValues.length < 2) return '';
+  const missing = points.length - measured.length;
+  if (missing > 0) text += `, no data in ${missing}`;
 
-  const min = Math.min(...filteredValues);
-  const max = Math.max(...filteredValues);
-  const range = max - min || 1;
+  const latest = measured[measured.length - 1];
+  if (latest && latest.rate !== 100) text += `, latest ${latest.rate}%`;
+  return text;
+}
 
-  const points = filteredValues.map((val, idx) => {
-    const x = (idx / (filteredValues.length - 1)) * width;
-    const y = height - ((val - min) / range) * height;
-    return `${x},${y}`;
-  }).join(' ');
+/**
+ * Generate sparkline SVG on a fixed 0–100% scale
+ * X positions come from point timestamps; null rates break the line so
+ * missing runs show as gaps. The latest measured point is marked.
+ * @param {Array<{time: number, rate: ?number}>} points - Points in time order, rate in percent or null
+ * @param {Object} [options]
+ * @param {string} [options.label='trend'] - Series name for the text alternative
+ * @param {string} [options.unit='runs'] - What each point stands for, in the text alternative
+ * @param {number} [options.width=100] - SVG width in pixels
+ * @param {number} [options.height=24] - SVG height in pixels
+ * @returns {string} SVG HTML string or empty string when fewer than two runs have data
+ */
+function generateSparklineSVG(points, { label = 'trend', unit = 'runs', width = 100, height = 24 } = {}) {
+  if (!points || points.length < 2) return '';
+  if (points.filter(point => point.rate !== null).length < 2) return '';
+
+  const start = points[0].time;
+  const span = Math.max(points[points.length - 1].time - start, 1);
+  const pad = 2;
+  const x = time => (((time - start) / span) * width).toFixed(1);
+  const y = rate => (height - pad - (rate / 100) * (height - pad * 2)).toFixed(1);
+
+  // Split into runs of consecutive measured points
+  const segments = [[]];
+  points.forEach(point => {
+    if (point.rate === null) {
+      if (segments[segments.length - 1].length > 0) segments.push([]);
+    } else {
+      segments[segments.length - 1].push(point);
+    }
+  });
+
+  const marks = segments.filter(segment => segment.length > 0).map(segment => {
+    if (segment.length === 1) {
+      return `<circle cx="${x(segment[0].time)}" cy="${y(segment[0].rate)}" r="1" fill="currentColor" />`;
+    }
+    const coords = segment.map(point => `${x(point.time)},${y(point.rate)}`).join(' ');
+    return `<polyline points="${coords}" fill="none" stroke="currentColor" stroke-width="1.5" vector-effect="non-scaling-stroke" />`;
+  }).join('');
+
+  const latest = points.filter(point => point.rate !== null).pop();
+  const summary = escapeHtml(describeSparkline(label, points, unit));
 
   return `
     <svg class="sparkline"
          width="${width}"
          height="${height}"
          viewBox="0 0 ${width} ${height}"
-         aria-hidden="true">
-      <polyline
-        points="${points}"
-        fill="none"
-        stroke="currentColor"
-        stroke-width="1.5"
-        vector-effect="non-scaling-stroke" />
+         role="img"
+         aria-label="${summary}">
+      <title>${summary}</title>
+      ${marks}
+      <circle class="sparkline-latest" cx="${x(latest.time)}" cy="${y(latest.rate)}" r="2" />
     </svg>
   `;
 }
@@ -612,7 +4643,7 @@ function generateJSONLD() {
           "price": "0",
           "priceCurrency": "USD"
         },
-        "codeRepository": "https://github.com/sheurich/debian-repro"
+        "codeRepository": REPO_URL
       }
     ]
   };
@@ -627,6 +4658,15 @@ function generateJSONLD() {
 // Utility Functions
 // =============================================================================
 
+/**
+ * Wait before continuing (retry backoff)
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
 /**
  * Format ISO date to short format (MMM DD, YYYY)
  * @param {string} isoString - ISO 8601 date string
@@ -659,16 +4699,51 @@ function formatDateLong(isoString) {
   });
 }
 
+/**
+ * Format a calendar day (YYYY-MM-DD, UTC) for display
+ * @param {string} date - Day
+ * @returns {string} Formatted date (e.g., "Nov 8, 2025")
+ */
+function formatCalendarDate(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+/**
+ * Format a reproducibility rate, e.g. "83%"
+ * @param {?number} rate - Percentage, or null for a run with no results
+ * @returns {string} Formatted rate, or "no data"
+ */
+function formatRate(rate) {
+  return rate === null ? 'no data' : `${rate}%`;
+}
+
+/**
+ * Escape a value for interpolation into HTML text or a quoted attribute
+ * Every value taken from loaded data (keys included) goes through this
+ * before it reaches innerHTML
+ * @param {*} value - Value to escape; null and undefined become ''
+ * @returns {string} Escaped string
+ */
+function escapeHtml(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
 /**
  * Handle and display errors
  * @param {Error} error - Error object
  */
 function handleError(error) {
   console.error('Dashboard error:', error);
-  const loading = document.getElementById('loading');
-  if (loading) {
-    loading.textContent = `Error loading data: ${error.message}`;
-    loading.style.color = '#8b0000';
+  renderSourceStatus();
+  const summary = document.getElementById('summary-bar');
+  if (summary) {
+    summary.innerHTML = `<p class="unavailable" role="alert"><strong>Dashboard unavailable:</strong> ${escapeHtml(error.message)}</p>`;
   }
 }
 
@@ -676,14 +4751,133 @@ function handleError(error) {
 // Initialization
 // =============================================================================
 
-// Initialize dashboard when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', init);
-} else {
-  init();
+// Initialize dashboard when DOM is ready (skipped when loaded as a module by tests)
+if (typeof module === 'undefined') {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
 }
 
 // Expose state for debugging in development
 if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
   window.dashboardState = state;
 }
+
+// Export functions for unit tests (CommonJS only; no-op in the browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    state,
+    loadData,
+    fetchSource,
+    retrySource,
+    loadSource,
+    DATA_CACHE,
+    refreshData,
+    snapshotAlerts,
+    describeAlerts,
+    setNotifications,
+    REFRESH_INTERVAL_MS,
+    DATA_SOURCES,
+    FETCH_RETRY,
+    renderSourceStatus,
+    handleError,
+    selectConsensusSerial,
+    selectRun,
+    resolveRunId,
+    runIdFromHash,
+    parseRoute,
+    routeHash,
+    applyHash,
+    renderSlicePage,
+    calculateCalendar,
+    calendarLevel,
+    renderCalendarPanel,
+    currentReport,
+    historyWindow,
+    renderAll,
+    renderConsensusPanel,
+    renderRegistryPanel,
+    calculateStats,
+    findMissingCoverage,
+    EXPECTED_COVERAGE,
+    checkFreshness,
+    consensusSerialOf,
+    FEED_FRESHNESS,
+    calculateArchStats,
+    calculateSuiteStats,
+    forEachSuiteResult,
+    upgradeReport,
+    normalizeReport,
+    formatRate,
+    DATA_MODEL_VERSION,
+    diffReports,
+    countDifferences,
+    flattenObject,
+    renderComparePanel,
+    renderHistoryTrends,
+    renderStabilityPanel,
+    renderEnvironmentPanel,
+    diffEnvironment,
+    hasEnvironment,
+    ENV_DRIFT_IGNORED,
+    renderDiffList,
+    detectEnvironmentDrift,
+    renderBuildTimePanel,
+    calculateBuildTimeStats,
+    findSlowBuilds,
+    percentile,
+    calculateStability,
+    calculateCellStability,
+    classifyStability,
+    rankUnstable,
+    TREND_WINDOWS,
+    trendWindowRange,
+    calculateTrendSeries,
+    groupRunsBySerial,
+    findSerialCell,
+    renderSerialPanel,
+    generateTrendSVG,
+    renderSummaryBar,
+    renderStatusMatrix,
+    renderViewControls,
+    parseViewParams,
+    serializeViewParams,
+    setView,
+    filterDetailRows,
+    sortDetailRows,
+    visibleMatrix,
+    calculateRegistryStats,
+    indexConsensusComparisons,
+    summarizeConsensusIndex,
+    classifyConsensusComparison,
+    registryCellStatus,
+    compareChecksums,
+    highlightChecksumDiff,
+    isSha256,
+    normalizeHashQuery,
+    searchChecksums,
+    loadConsensusArchive,
+    renderSearchPanel,
+    renderSearchResults,
+    findChecksumMatches,
+    createSha256,
+    hashFile,
+    verifyLocalFile,
+    renderLocalVerifyPanel,
+    renderDetailsTable,
+    renderInlineSparkline,
+    describeSparkline,
+    generateSparklineSVG,
+    escapeHtml,
+    validateSchema,
+    checkDocument,
+    validEntries,
+    renderDataQualityNotice,
+    REPORT_SCHEMA,
+    CONSENSUS_SCHEMA,
+    CONSENSUS_INDEX_SCHEMA,
+    REGISTRY_SCHEMA
+  };
+}
@@ -0,0 +1,130 @@
+/**
+ * Debian Reproducibility Verification Dashboard - Service Worker
+ *
+ * Keeps the dashboard usable offline and through GitHub Pages outages:
+ * the app shell is cached on every successful load, and data feeds fall back
+ * to the last copy that script.js validated and stored in DATA_CACHE.
+ * This worker never writes data feeds itself, so an invalid document can
+ * never replace a good cached copy.
+ */
+
+'use strict';
+
+// =============================================================================
+// Configuration & Constants
+// =============================================================================
+
+/** @const {string} Cache for app shell files (HTML, CSS, JS) */
+const SHELL_CACHE = 'debian-repro-shell-v1';
+
+/** @const {string} Cache of last-known-good data feeds; must match DATA_CACHE in script.js */
+const DATA_CACHE = 'debian-repro-data-v1';
+
+/** @const {Array<string>} App shell files precached on install, relative to the worker */
+const SHELL_FILES = ['./', 'index.html', 'style.css', 'script.js', 'api.html'];
+
+// =============================================================================
+// Lifecycle
+// =============================================================================
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key !== SHELL_CACHE && key !== DATA_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const response = handleFetch(event.request);
+  if (response) event.respondWith(response);
+});
+
+// =============================================================================
+// Request Handling
+// =============================================================================
+
+/**
+ * Route a request: same-origin GETs under data/ go to fetchData, other
+ * same-origin GETs to fetchShell; everything else is left to the browser
+ * @param {Request} request - Intercepted request
+ * @returns {Promise<Response>|null} Response, or null to not intercept
+ */
+function handleFetch(request) {
+  if (request.method !== 'GET') return null;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return null;
+  return url.pathname.includes('/data/') ? fetchData(request) : fetchShell(request);
+}
+
+/**
+ * Fetch a data feed from the network, falling back to its last-known-good
+ * copy on network or server errors
+ * Client errors (e.g. 404) and 304 responses pass through unchanged. Cached
+ * copies carry an X-Cached-At header, which the page shows in its banner.
+ * @param {Request} request - Data feed request
+ * @returns {Promise<Response>}
+ */
+async function fetchData(request) {
+  try {
+    const response = await fetch(request);
+    if (response.status < 500) return response;
+    return (await cachedData(request)) || response;
+  } catch (error) {
+    const cached = await cachedData(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Look up the last-known-good copy of a data feed
+ * @param {Request} request - Data feed request
+ * @returns {Promise<Response|undefined>}
+ */
+async function cachedData(request) {
+  const cache = await caches.open(DATA_CACHE);
+  return cache.match(request.url, { ignoreSearch: true });
+}
+
+/**
+ * Fetch an app shell file from the network (so deploys show up at once),
+ * updating the shell cache; serve the cached copy when offline
+ * The query string only carries view state, so it is ignored when matching.
+ * @param {Request} request - App shell request
+ * @returns {Promise<Response>}
+ */
+async function fetchShell(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// Export functions for unit tests (CommonJS only; no-op in the browser)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    handleFetch,
+    fetchData,
+    fetchShell,
+    SHELL_CACHE,
+    DATA_CACHE,
+    SHELL_FILES
+  };
+}
@@ -15,7 +15,7 @@ beforeEach(() => {
     <div id="summary-bar"></div>
     <div id="matrix-table"></div>
     <div id="details-content"></div>
-    <div id="history-sparklines"></div>
+    <div id="history-trends"></div>
     <span id="last-update"></span>
     <script type="application/ld+json" id="structured-data"></script>
   `;
@@ -24,30 +24,6 @@ beforeEach(() => {
   // In production, we'd refactor script.js to use ES modules
 });
 
-describe('Dashboard Data Loading', () => {
-  test('createPlaceholderData returns valid structure', () => {
-    // Extract function from script (in production, export from module)
-    const placeholderData = {
-      timestamp: new Date().toISOString(),
-      run_id: 'pending',
-      serial: 'YYYYMMDD',
-      epoch: 0,
-      environment: { platform: 'pending', runner: 'pending' },
-      architectures: {}
-    };
-
-    expect(placeholderData).toHaveProperty('timestamp');
-    expect(placeholderData).toHaveProperty('architectures');
-    expect(placeholderData.serial).toBe('YYYYMMDD');
-  });
-
-  test('handles missing latest.json gracefully', async () => {
-    // Test would mock fetch to return 404
-    // Expect fallback to placeholder data
-    expect(true).toBe(true); // Placeholder test
-  });
-});
-
 describe('Statistics Calculations', () => {
   const mockReport = {
     timestamp: '2025-11-07T12:00:00Z',
@@ -340,3 +316,2387 @@ describe('Rendering Functions', () => {
     expect(container).toBeTruthy();
   });
 });
+
+// =============================================================================
+// Tests against the real script.js (loaded as a CommonJS module)
+// =============================================================================
+
+const dashboard = require(scriptPath);
+const fixtureDir = path.join(__dirname, '..', 'dashboard', 'data');
+const loadFixture = name => JSON.parse(fs.readFileSync(path.join(fixtureDir, name), 'utf8'));
+// Reports as loadData() leaves them in state: upgraded and normalized
+const normalized = report => dashboard.normalizeReport(dashboard.upgradeReport(report));
+const loadReport = () => normalized(loadFixture('latest.json'));
+const loadHistory = () => loadFixture('history.json').map(normalized);
+
+/**
+ * Build a normalized report for a test
+ * @param {string} runId - Run id
+ * @param {number|string} when - Day of January 2026, or an ISO timestamp
+ * @param {Object} results - {arch: {suite: result}}; a result is `reproducible`
+ *   as a boolean, or the suite's fields
+ * @param {Object} [fields] - Other top-level fields; serial defaults to the run's date
+ */
+const buildReport = (runId, when, results, fields = {}) => {
+  const timestamp = typeof when === 'number' ? `2026-01-${String(when).padStart(2, '0')}T00:00:00Z` : when;
+  return normalized({
+    run_id: runId,
+    serial: timestamp.substring(0, 10).replace(/-/g, ''),
+    timestamp,
+    ...fields,
+    architectures: Object.fromEntries(Object.entries(results).map(([arch, suites]) => [arch, {
+      status: 'success',
+      suites: Object.fromEntries(Object.entries(suites).map(([suite, result]) => [
+        suite,
+        typeof result === 'boolean' ? { reproducible: result } : result
+      ]))
+    }]))
+  });
+};
+
+// Results for every expected combination, `reproducible` unless overridden per arch
+const coveredResults = (reproducible = true, overrides = {}) => Object.fromEntries(
+  dashboard.EXPECTED_COVERAGE.architectures.map(arch => [arch, {
+    ...Object.fromEntries(dashboard.EXPECTED_COVERAGE.suites.map(suite => [suite, reproducible])),
+    ...overrides[arch]
+  }])
+);
+
+// fetch() mocks for the data-loading tests
+const fetchOk = (body, headers = {}) => Promise.resolve({
+  ok: true,
+  status: 200,
+  headers: { get: name => headers[name] ?? null },
+  json: () => Promise.resolve(body)
+});
+const fetchFailed = status => Promise.resolve({ ok: false, status });
+// Published feeds by the URL loadData() requests
+const publishedFeeds = () => ({
+  './data/latest.json': loadFixture('latest.json'),
+  './data/history.json': loadFixture('history.json'),
+  './data/consensus/latest.json': loadFixture('consensus/latest.json'),
+  './data/consensus/index.json': loadFixture('consensus/index.json'),
+  './data/registry-latest.json': loadFixture('registry-latest.json'),
+  './data/registry-history.json': loadFixture('registry-history.json')
+});
+const sourcesDOM = `
+  <section id="source-status"></section>
+  <section id="data-quality" hidden></section>
+  <nav id="run-picker"></nav>
+  <div id="summary-bar"></div>
+  <div id="view-controls"></div>
+  <div id="matrix-table"></div>
+  <div id="details-content"></div>
+  <div id="registry-content"></div>
+`;
+
+describe('Registry Verification', () => {
+  const registryReport = {
+    timestamp: '2026-03-26T03:13:51Z',
+    verification_timestamp: '2026-03-26T03:13:42Z',
+    serial: '20260316',
+    status: 'fail',
+    architectures: ['amd64', 'arm64'],
+    results: [
+      { suite: 'bookworm', architecture: 'amd64', status: 'match', dockerhub_diffid: 'sha256:aaa', artifacts_diffid: 'sha256:aaa' },
+      { suite: 'bookworm', architecture: 'arm64', status: 'mismatch', dockerhub_diffid: 'sha256:bbb', artifacts_diffid: 'sha256:ccc' },
+      { suite: 'trixie', architecture: 'amd64', status: 'error' }
+    ]
+  };
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="registry-content"></div>';
+    dashboard.state.registry = null;
+    dashboard.state.registryHistory = [];
+  });
+
+  test('calculateRegistryStats counts match, mismatch and error results', () => {
+    const stats = dashboard.calculateRegistryStats(registryReport);
+    expect(stats).toEqual({ total: 3, matched: 1, mismatched: 1, errors: 1, rate: 33 });
+  });
+
+  test('calculateRegistryStats handles missing report', () => {
+    expect(dashboard.calculateRegistryStats(null).rate).toBe(0);
+  });
+
+  test('registryCellStatus maps statuses to symbols', () => {
+    expect(dashboard.registryCellStatus('match').symbol).toBe('✓');
+    expect(dashboard.registryCellStatus('mismatch').className).toBe('cell-fail');
+    expect(dashboard.registryCellStatus('error').className).toBe('cell-warn');
+  });
+
+  test('renderRegistryPanel shows placeholder without data', () => {
+    dashboard.renderRegistryPanel();
+    expect(document.getElementById('registry-content').textContent)
+      .toContain('not yet available');
+  });
+
+  test('renderRegistryPanel renders suite × architecture grid', () => {
+    dashboard.state.registry = registryReport;
+    dashboard.renderRegistryPanel();
+
+    const container = document.getElementById('registry-content');
+    const headers = Array.from(container.querySelectorAll('thead th')).map(th => th.textContent);
+    expect(headers).toEqual(['Suite', 'amd64', 'arm64']);
+    expect(container.querySelectorAll('tbody tr')).toHaveLength(2);
+    expect(container.querySelector('td.cell-fail').textContent).toContain('mismatch');
+    expect(container.querySelector('td.cell-fail').getAttribute('title')).toContain('sha256:ccc');
+    expect(container.querySelector('td.cell-na')).not.toBeNull();
+    expect(container.textContent).toContain('Serial 20260316');
+    expect(container.textContent).toContain('1/3 diff_ids match');
+  });
+
+  test('renderRegistryPanel renders trend from registry history', () => {
+    dashboard.state.registry = loadFixture('registry-latest.json');
+    dashboard.state.registryHistory = loadFixture('registry-history.json');
+    dashboard.renderRegistryPanel();
+
+    const container = document.getElementById('registry-content');
+    expect(container.querySelector('.registry-trend svg')).not.toBeNull();
+    expect(container.textContent).toMatch(/\d+ of \d+ verifications passed/);
+  });
+});
+
+describe('Consensus Drill-down', () => {
+  const comparison = (arch, suite, results, extra = {}) => ({
+    architecture: arch,
+    suite,
+    consensus: true,
+    consensus_checksum: 'a'.repeat(64),
+    platforms_agreeing: results.filter(r => r.sha256 === 'a'.repeat(64)).length,
+    platforms_total: results.length,
+    platform_results: results,
+    disagreement: false,
+    ...extra
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="consensus-content"></div>';
+    dashboard.state.consensus = null;
+  });
+
+  test('classifyConsensusComparison distinguishes agree, single and disagree', () => {
+    const agree = comparison('amd64', 'trixie', [
+      { platform: 'gcp', sha256: 'a'.repeat(64) },
+      { platform: 'github', sha256: 'a'.repeat(64) }
+    ]);
+    const single = comparison('amd64', 'forky', [{ platform: 'github', sha256: 'a'.repeat(64) }]);
+    const disagree = comparison('arm64', 'trixie', [
+      { platform: 'gcp', sha256: 'a'.repeat(64) },
+      { platform: 'github', sha256: 'b'.repeat(64) }
+    ], { consensus: false, disagreement: true });
+
+    expect(dashboard.classifyConsensusComparison(agree)).toBe('agree');
+    expect(dashboard.classifyConsensusComparison(single)).toBe('single');
+    expect(dashboard.classifyConsensusComparison(disagree)).toBe('disagree');
+  });
+
+  test('indexConsensusComparisons builds sorted grid', () => {
+    const { archs, suites, grid } = dashboard.indexConsensusComparisons(
+      loadFixture('consensus/latest.json').comparisons
+    );
+    expect(archs).toEqual(['amd64', 'arm64']);
+    expect(suites).toEqual(['bookworm', 'bullseye', 'forky', 'trixie']);
+    expect(grid.amd64.bookworm.platforms_agreeing).toBe(2);
+  });
+
+  test('renderConsensusPanel marks single-platform cells', () => {
+    dashboard.state.consensus = loadFixture('consensus/latest.json');
+    dashboard.renderConsensusPanel();
+
+    const container = document.getElementById('consensus-content');
+    expect(container.querySelectorAll('td.consensus-cell')).toHaveLength(8);
+    expect(container.querySelectorAll('td.cell-warn')).toHaveLength(7);
+    expect(container.querySelector('td.cell-pass summary').textContent).toContain('2/2');
+    expect(container.textContent).toContain('7 single-platform only');
+  });
+
+  test('renderConsensusPanel highlights the differing checksum', () => {
+    dashboard.state.consensus = {
+      timestamp: '2025-12-01T06:07:49Z',
+      consensus: { achieved: false },
+      summary: { total_combinations: 1, consensus_achieved: 0 },
+      platforms: ['gcp', 'github'],
+      comparisons: [
+        comparison('arm64', 'trixie', [
+          { platform: 'gcp', sha256: 'a'.repeat(64) },
+          { platform: 'github', sha256: 'b'.repeat(64) },
+          { platform: 'local', sha256: 'a'.repeat(64) }
+        ], { consensus: false, consensus_checksum: '', disagreement: true, platforms_agreeing: 0 })
+      ]
+    };
+    dashboard.renderConsensusPanel();
+
+    const container = document.getElementById('consensus-content');
+    const differing = container.querySelectorAll('.sha-differs');
+    expect(differing).toHaveLength(1);
+    expect(differing[0].textContent).toContain('github');
+    expect(container.querySelector('td.cell-fail')).not.toBeNull();
+  });
+
+  test('renderConsensusPanel highlights every checksum of a disagreement without a majority', () => {
+    dashboard.state.consensus = {
+      timestamp: '2025-12-01T06:07:49Z',
+      consensus: { achieved: false },
+      summary: { total_combinations: 1, consensus_achieved: 0 },
+      platforms: ['gcp', 'github'],
+      comparisons: [
+        comparison('arm64', 'trixie', [
+          { platform: 'gcp', sha256: 'a'.repeat(64) },
+          { platform: 'github', sha256: 'b'.repeat(64) }
+        ], { consensus: false, consensus_checksum: '', disagreement: true, platforms_agreeing: 0 })
+      ]
+    };
+    dashboard.renderConsensusPanel();
+
+    const differing = document.getElementById('consensus-content').querySelectorAll('.sha-differs');
+    expect([...differing].map(item => item.querySelector('.platform-name').textContent)).toEqual(['gcp', 'github']);
+  });
+
+  test('renderConsensusPanel shows placeholder without data', () => {
+    dashboard.renderConsensusPanel();
+    expect(document.getElementById('consensus-content').textContent)
+      .toContain('not yet available');
+  });
+});
+
+describe('Consensus Archive', () => {
+  const index = [
+    { serial: '20251208', timestamp: '2025-12-20T06:00:00Z', platforms: ['github', 'gcp'], consensus_rate: 0.75, disagreements: 2 },
+    { serial: '20251103', timestamp: '2025-12-01T06:07:49Z', platforms: ['github'], consensus_rate: 1, disagreements: 0 },
+    { serial: '20251229', timestamp: '2026-01-05T06:00:00Z', platforms: ['gcp', 'github'], consensus_rate: 0.5, disagreements: 4 }
+  ];
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="consensus-content"></div>';
+    dashboard.state.consensus = loadFixture('consensus/latest.json');
+    dashboard.state.consensusIndex = [];
+    dashboard.state.consensusArchive = {};
+    dashboard.state.consensusSerial = null;
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('summarizeConsensusIndex orders serials and flags changes', () => {
+    const summary = dashboard.summarizeConsensusIndex(index);
+
+    expect(summary.map(e => e.serial)).toEqual(['20251103', '20251208', '20251229']);
+    expect(summary[0].joined).toEqual([]);
+    expect(summary[1].joined).toEqual(['gcp']);
+    expect(summary[1].rate).toBe(75);
+    expect(summary[1].disagreementsStarted).toBe(true);
+    expect(summary[2].disagreementsStarted).toBe(false);
+  });
+
+  test('renderConsensusPanel lists archived serials in picker and table', () => {
+    dashboard.state.consensusIndex = index;
+    dashboard.renderConsensusPanel();
+
+    const container = document.getElementById('consensus-content');
+    const options = Array.from(container.querySelectorAll('#consensus-serial option')).map(o => o.value);
+    expect(options).toEqual(['', '20251229', '20251208', '20251103']);
+    expect(container.querySelectorAll('.consensus-archive tbody tr')).toHaveLength(3);
+    expect(container.textContent).toContain('+gcp joined');
+    expect(container.textContent).toContain('disagreements started');
+  });
+
+  test('selectConsensusSerial loads and renders archived report', async () => {
+    const archived = loadFixture('consensus/20251103.json');
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(archived) }));
+    dashboard.state.consensusIndex = index;
+
+    await dashboard.selectConsensusSerial('20251103');
+
+    expect(global.fetch).toHaveBeenCalledWith('./data/consensus/20251103.json');
+    expect(dashboard.state.consensusSerial).toBe('20251103');
+    expect(document.getElementById('consensus-serial').value).toBe('20251103');
+
+    await dashboard.selectConsensusSerial('20251103');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('selectConsensusSerial keeps current report when fetch fails', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 404 }));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await dashboard.selectConsensusSerial('19990101');
+
+    expect(dashboard.state.consensusSerial).toBeNull();
+    console.warn.mockRestore();
+  });
+});
+
+describe('Time-travel', () => {
+  const dashboardDOM = `
+    <nav id="run-picker"></nav>
+    <div id="summary-bar"></div>
+    <div id="matrix-table"></div>
+    <div id="details-content"></div>
+    <div id="history-trends"></div>
+    <span id="last-update"></span>
+  `;
+
+  beforeEach(() => {
+    document.body.innerHTML = dashboardDOM;
+    dashboard.state.latest = loadReport();
+    dashboard.state.history = loadHistory();
+    dashboard.state.selectedRunId = null;
+    window.history.replaceState(null, '', '/');
+  });
+
+  test('runIdFromHash reads run and serial parameters', () => {
+    expect(dashboard.runIdFromHash('#run=19914890425')).toBe('19914890425');
+    expect(dashboard.runIdFromHash('#serial=20251117')).toBe('19996507452');
+    expect(dashboard.runIdFromHash('#serial=19990101')).toBeNull();
+    expect(dashboard.runIdFromHash('')).toBeNull();
+  });
+
+  test('resolveRunId ignores unknown runs and the latest run', () => {
+    expect(dashboard.resolveRunId('19914890425')).toBe('19914890425');
+    expect(dashboard.resolveRunId('23392380145')).toBeNull();
+    expect(dashboard.resolveRunId('1')).toBeNull();
+    expect(dashboard.resolveRunId(null)).toBeNull();
+  });
+
+  test('selectRun renders a historical run and sets the permalink', () => {
+    dashboard.selectRun('19914890425');
+
+    expect(window.location.hash).toBe('#run=19914890425');
+    expect(dashboard.currentReport().serial).toBe('20251117');
+    expect(document.getElementById('summary-bar').textContent).toContain('Serial 20251117');
+    expect(document.getElementById('run-select').value).toBe('19914890425');
+    expect(document.querySelector('.run-notice').textContent).toContain('19914890425');
+
+    const headers = Array.from(document.querySelectorAll('#matrix-table tbody th')).map(th => th.textContent);
+    expect(headers).toEqual(['amd64', 'arm64', 'armhf', 'i386', 'ppc64el', 's390x']);
+  });
+
+  test('historyWindow excludes runs after the selected run', () => {
+    dashboard.selectRun('19914890425');
+    const visible = dashboard.historyWindow();
+    expect(visible[visible.length - 1].run_id).toBe('19914890425');
+    expect(visible.length).toBeLessThan(dashboard.state.history.length);
+  });
+
+  test('selectRun(null) returns to latest and clears the hash', () => {
+    dashboard.selectRun('19914890425');
+    dashboard.selectRun(null);
+
+    expect(window.location.hash).toBe('');
+    expect(document.getElementById('summary-bar').textContent).toContain('Serial 20260316');
+    expect(document.querySelector('.run-notice')).toBeNull();
+  });
+});
+
+describe('Run Comparison', () => {
+  const base = normalized({
+    run_id: '1',
+    serial: '20251103',
+    epoch: 100,
+    environment: {
+      timestamp: '2025-11-03T00:00:00Z',
+      docker: 'Docker version 28.0.4',
+      os: { kernel: '6.11.0-1018-azure' },
+      github_actions: { run_id: '1', runner_name: 'GitHub Actions 1' }
+    },
+    architectures: {
+      amd64: {
+        status: 'success',
+        suites: {
+          bookworm: { reproducible: true, sha256: 'a'.repeat(64), official_sha256: 'a'.repeat(64), build_time_seconds: 100 },
+          trixie: { reproducible: true, our_sha256: 'b'.repeat(64), build_time_seconds: 0 }
+        }
+      },
+      i386: { status: 'success', suites: { bookworm: { reproducible: true, sha256: 'c'.repeat(64), build_time_seconds: 0 } } }
+    }
+  });
+
+  const target = normalized({
+    run_id: '2',
+    serial: '20251117',
+    epoch: 200,
+    environment: {
+      timestamp: '2025-11-17T00:00:00Z',
+      docker: 'Docker version 29.0.0',
+      os: { kernel: '6.11.0-1018-azure' },
+      github_actions: { run_id: '2', runner_name: 'GitHub Actions 2' }
+    },
+    architectures: {
+      amd64: {
+        status: 'success',
+        suites: {
+          bookworm: { reproducible: false, sha256: 'd'.repeat(64), official_sha256: 'a'.repeat(64), build_time_seconds: 160 },
+          trixie: { reproducible: true, sha256: 'b'.repeat(64), build_time_seconds: 0 },
+          forky: { reproducible: true, sha256: 'e'.repeat(64), build_time_seconds: 90 }
+        }
+      },
+      arm64: { status: 'success', suites: {} }
+    }
+  });
+
+  test('forEachSuiteResult visits every arch/suite pair', () => {
+    const visited = [];
+    dashboard.forEachSuiteResult(base, (arch, suite) => visited.push(`${arch}/${suite}`));
+    expect(visited).toEqual(['amd64/bookworm', 'amd64/trixie', 'i386/bookworm']);
+  });
+
+  test('diffReports finds status, checksum, coverage and timing changes', () => {
+    const diff = dashboard.diffReports(base, target);
+
+    expect(diff.meta).toEqual([
+      { field: 'serial', from: '20251103', to: '20251117' },
+      { field: 'epoch', from: 100, to: 200 }
+    ]);
+    expect(diff.statusFlips).toEqual([{ arch: 'amd64', suite: 'bookworm', from: true, to: false }]);
+    expect(diff.checksumChanges).toEqual([
+      { arch: 'amd64', suite: 'bookworm', field: 'sha256', from: 'a'.repeat(64), to: 'd'.repeat(64) }
+    ]);
+    expect(diff.archsAdded).toEqual(['arm64']);
+    expect(diff.archsRemoved).toEqual(['i386']);
+    expect(diff.suitesAdded).toEqual([{ arch: 'amd64', suite: 'forky' }]);
+    expect(diff.suitesRemoved).toEqual([{ arch: 'i386', suite: 'bookworm' }]);
+    expect(diff.buildTimeDeltas).toEqual([{ arch: 'amd64', suite: 'bookworm', from: 100, to: 160, delta: 60 }]);
+  });
+
+  test('diffReports ignores per-run environment fields', () => {
+    const diff = dashboard.diffReports(base, target);
+    expect(diff.environment).toEqual([
+      { field: 'docker', from: 'Docker version 28.0.4', to: 'Docker version 29.0.0' }
+    ]);
+  });
+
+  test('diffReports of identical reports is empty', () => {
+    expect(dashboard.countDifferences(dashboard.diffReports(base, base))).toBe(0);
+  });
+
+  test('flattenObject produces dotted paths', () => {
+    expect(dashboard.flattenObject({ a: { b: 1, c: { d: 'x' } }, e: null }))
+      .toEqual({ 'a.b': 1, 'a.c.d': 'x', e: null });
+  });
+
+  test('renderComparePanel defaults to current run against previous run', () => {
+    document.body.innerHTML = '<div id="compare-content"></div>';
+    dashboard.state.latest = loadReport();
+    dashboard.state.history = loadHistory();
+    dashboard.state.selectedRunId = null;
+    dashboard.state.compare = { base: null, target: null };
+
+    dashboard.renderComparePanel();
+
+    expect(document.getElementById('compare-base').value).toBe('23100020313');
+    expect(document.getElementById('compare-target').value).toBe('23392380145');
+    expect(document.getElementById('compare-content').textContent).toContain('serial: 20260223 → 20260316');
+  });
+
+  test('renderComparePanel re-renders on selection change', () => {
+    document.body.innerHTML = '<div id="compare-content"></div>';
+    dashboard.state.history = loadHistory();
+    dashboard.state.compare = { base: null, target: null };
+    dashboard.renderComparePanel();
+
+    const select = document.getElementById('compare-base');
+    select.value = '19193160632';
+    select.dispatchEvent(new Event('change'));
+
+    expect(dashboard.state.compare.base).toBe('19193160632');
+    expect(document.getElementById('compare-content').textContent).toContain('Coverage changes');
+  });
+
+  test('renderComparePanel does not compare the oldest run with itself', () => {
+    document.body.innerHTML = '<div id="compare-content"></div>';
+    dashboard.state.history = loadHistory();
+    const oldest = String(dashboard.state.history[0].run_id);
+    dashboard.state.compare = { base: null, target: oldest };
+    dashboard.renderComparePanel();
+
+    const content = document.getElementById('compare-content');
+    expect(document.getElementById('compare-base').value).toBe('');
+    expect(content.textContent).toContain(`No earlier run to compare with run ${oldest}`);
+    expect(content.textContent).not.toContain('No differences');
+
+    dashboard.state.compare = { base: oldest, target: oldest };
+    dashboard.renderComparePanel();
+    expect(content.textContent).toContain('Pick two different runs to compare.');
+    dashboard.state.compare = { base: null, target: null };
+  });
+});
+
+describe('Checksum Comparison', () => {
+  const ours = 'a'.repeat(60) + 'bbbb';
+  const official = 'a'.repeat(60) + 'cccc';
+
+  test('compareChecksums reports match, mismatch and missing', () => {
+    expect(dashboard.compareChecksums('a'.repeat(64), 'a'.repeat(64)).match).toBe(true);
+    expect(dashboard.compareChecksums(ours, official).match).toBe(false);
+    expect(dashboard.compareChecksums(ours, 'not-available').match).toBeNull();
+    expect(dashboard.compareChecksums('', official).symbol).toBe('?');
+  });
+
+  test('highlightChecksumDiff marks contiguous differing characters', () => {
+    expect(dashboard.highlightChecksumDiff(ours, official))
+      .toBe('a'.repeat(60) + '<mark class="sha-diff">bbbb</mark>');
+    expect(dashboard.highlightChecksumDiff('a'.repeat(64), 'b' + 'a'.repeat(62) + 'b'))
+      .toBe('<mark class="sha-diff">a</mark>' + 'a'.repeat(62) + '<mark class="sha-diff">a</mark>');
+    expect(dashboard.highlightChecksumDiff(ours, ours)).toBe(ours);
+    expect(dashboard.highlightChecksumDiff(ours, '')).toBe(ours);
+    expect(dashboard.highlightChecksumDiff('A'.repeat(64), 'a'.repeat(64))).toBe('A'.repeat(64));
+    expect(dashboard.highlightChecksumDiff('A'.repeat(63) + 'B', 'a'.repeat(64)))
+      .toBe(`${'A'.repeat(63)}<mark class="sha-diff">B</mark>`);
+  });
+
+  test('highlightChecksumDiff marks nothing against placeholders', () => {
+    ['not-available', 'build-failed', 'pending...'].forEach(placeholder => {
+      expect(dashboard.highlightChecksumDiff(ours, placeholder)).toBe(ours);
+      expect(dashboard.highlightChecksumDiff(placeholder, ours)).toBe(placeholder);
+    });
+  });
+
+  describe('renderDetailsTable', () => {
+    beforeEach(() => {
+      document.body.innerHTML = '<div id="details-content"></div>';
+      dashboard.state.selectedRunId = null;
+      dashboard.state.latest = normalized({
+        timestamp: '2026-03-22T01:12:57Z',
+        run_id: '1',
+        serial: '20260316',
+        architectures: {
+          amd64: {
+            status: 'success',
+            suites: {
+              bookworm: { reproducible: true, sha256: 'a'.repeat(64), official_sha256: 'a'.repeat(64), build_time_seconds: 100 },
+              trixie: { reproducible: false, sha256: ours, official_sha256: official, build_time_seconds: 120 }
+            }
+          }
+        }
+      });
+    });
+
+    test('shows full ours and official checksums with match indicator', () => {
+      dashboard.renderDetailsTable();
+
+      const container = document.getElementById('details-content');
+      const rows = container.querySelectorAll('tbody tr');
+      expect(rows[0].querySelectorAll('.sha256-full')).toHaveLength(2);
+      expect(rows[0].querySelector('.cell-pass[title="Checksums match"]')).not.toBeNull();
+      expect(rows[1].querySelector('[title="Checksums differ"]').textContent).toBe('≠');
+      expect(rows[1].querySelectorAll('mark.sha-diff')).toHaveLength(2);
+    });
+
+    test('copy button writes full checksum to clipboard', async () => {
+      const writeText = jest.fn(() => Promise.resolve());
+      Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+      dashboard.renderDetailsTable();
+
+      const button = document.querySelector('tbody tr:nth-child(2) .copy-sha');
+      button.click();
+      await Promise.resolve();
+
+      expect(writeText).toHaveBeenCalledWith(ours);
+      expect(button.textContent).toBe('copied');
+    });
+  });
+});
+
+describe('Checksum Search', () => {
+  beforeEach(() => {
+    dashboard.state.latest = loadReport();
+    dashboard.state.history = loadHistory();
+    dashboard.state.consensus = loadFixture('consensus/latest.json');
+    dashboard.state.consensusIndex = loadFixture('consensus/index.json');
+    dashboard.state.consensusArchive = {};
+    dashboard.state.registry = loadFixture('registry-latest.json');
+    dashboard.state.registryHistory = loadFixture('registry-history.json');
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('normalizeHashQuery strips prefix and rejects non-hex input', () => {
+    expect(dashboard.normalizeHashQuery('  SHA256:ABCdef12 ')).toBe('abcdef12');
+    expect(dashboard.normalizeHashQuery('bookworm')).toBe('');
+    expect(dashboard.normalizeHashQuery(null)).toBe('');
+  });
+
+  test('finds report and consensus occurrences of a rootfs checksum', () => {
+    const results = dashboard.searchChecksums('069875fe277d6ed7');
+    const datasets = new Set(results.map(r => r.dataset));
+
+    expect(datasets).toEqual(new Set(['report', 'consensus']));
+    expect(results.every(r => r.arch === 'arm64' && r.suite === 'bookworm')).toBe(true);
+    const consensusHit = results.find(r => r.dataset === 'consensus');
+    expect(consensusHit.platform).toBe('github');
+    expect(consensusHit.serial).toBe('20251103');
+  });
+
+  test('finds registry diff_ids with or without sha256: prefix', () => {
+    const needle = dashboard.normalizeHashQuery('sha256:6ade88c30b7763a3');
+    const results = dashboard.searchChecksums(needle);
+
+    expect(results.length).toBeGreaterThanOrEqual(2);
+    expect(results.map(r => r.field)).toEqual(expect.arrayContaining(['dockerhub_diffid', 'artifacts_diffid']));
+    expect(results.every(r => r.verified)).toBe(true);
+  });
+
+  test('does not double count latest report already in history', () => {
+    const results = dashboard.searchChecksums('215a2389842ffa6d');
+    const runs = results.filter(r => r.dataset === 'report').map(r => `${r.runId}:${r.field}`);
+    expect(new Set(runs).size).toBe(runs.length);
+  });
+
+  test('marks disputed consensus occurrences', () => {
+    dashboard.state.consensus = {
+      timestamp: '2026-01-01T00:00:00Z',
+      comparisons: [{
+        architecture: 'amd64',
+        suite: 'trixie',
+        consensus: false,
+        disagreement: true,
+        consensus_checksum: '',
+        platform_results: [
+          { platform: 'gcp', sha256: 'a'.repeat(64) },
+          { platform: 'github', sha256: 'f'.repeat(64) }
+        ]
+      }]
+    };
+    const results = dashboard.searchChecksums('ffffff');
+    expect(results).toHaveLength(1);
+    expect(results[0].verified).toBe(false);
+  });
+
+  test('renderSearchPanel renders results on input and loads archived consensus', async () => {
+    document.body.innerHTML = '<div id="search-content"></div>';
+    const archived = loadFixture('consensus/20251103.json');
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, json: () => Promise.resolve(archived) }));
+
+    dashboard.renderSearchPanel();
+    const input = document.getElementById('hash-search');
+    input.value = 'abc';
+    input.dispatchEvent(new Event('input'));
+    expect(document.getElementById('search-results').textContent).toContain('at least 6');
+
+    input.value = '069875fe277d6ed7';
+    input.dispatchEvent(new Event('input'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(global.fetch).toHaveBeenCalledWith('./data/consensus/20251103.json');
+    expect(document.querySelectorAll('#search-results tbody tr').length).toBeGreaterThan(0);
+    expect(document.getElementById('search-results').textContent).toContain('verified');
+  });
+});
+
+describe('Local Tarball Verification', () => {
+  const crypto = require('crypto');
+  const nodeSha256 = bytes => crypto.createHash('sha256').update(bytes).digest('hex');
+
+  // Minimal Blob stand-in: jsdom's Blob lacks arrayBuffer()
+  const fakeFile = (bytes, name = 'rootfs.tar.xz') => ({
+    name,
+    size: bytes.length,
+    slice: (start, end) => ({
+      arrayBuffer: () => Promise.resolve(bytes.slice(start, end).buffer)
+    })
+  });
+
+  test.each([0, 1, 55, 56, 63, 64, 65, 119, 120, 1000])(
+    'createSha256 matches Node crypto for %i bytes',
+    length => {
+      const bytes = crypto.randomBytes(length);
+      expect(dashboard.createSha256().update(bytes).digest()).toBe(nodeSha256(bytes));
+    }
+  );
+
+  test('createSha256 gives same digest for chunked updates', () => {
+    const bytes = crypto.randomBytes(5000);
+    const hasher = dashboard.createSha256();
+    [0, 7, 64, 100, 1000, 3829].reduce((offset, size) => {
+      hasher.update(new Uint8Array(bytes.subarray(offset, offset + size)));
+      return offset + size;
+    }, 0);
+    expect(hasher.digest()).toBe(nodeSha256(bytes));
+  });
+
+  test('hashFile reads in chunks and reports progress', async () => {
+    const bytes = new Uint8Array(crypto.randomBytes(1024));
+    const progress = [];
+    const hash = await dashboard.hashFile(fakeFile(bytes), fraction => progress.push(fraction));
+
+    expect(hash).toBe(nodeSha256(bytes));
+    expect(progress[progress.length - 1]).toBe(1);
+  });
+
+  describe('verifyLocalFile', () => {
+    beforeEach(() => {
+      document.body.innerHTML = '<div id="local-verify-content"></div>';
+      dashboard.state.latest = loadReport();
+      dashboard.state.history = [];
+      dashboard.state.consensus = null;
+      dashboard.state.consensusIndex = [];
+      dashboard.state.registry = null;
+      dashboard.state.registryHistory = [];
+      dashboard.renderLocalVerifyPanel();
+    });
+
+    test('reports a match against published checksums', async () => {
+      const bytes = new Uint8Array(crypto.randomBytes(256));
+      const hash = nodeSha256(bytes);
+      dashboard.state.latest.architectures.amd64.suites.trixie.sha256 = hash;
+      dashboard.state.latest.architectures.amd64.suites.trixie.official_sha256 = hash;
+
+      await dashboard.verifyLocalFile(fakeFile(bytes));
+
+      const result = document.getElementById('local-verify-result');
+      expect(result.textContent).toContain(hash);
+      expect(result.textContent).toContain('✓ Matches amd64/trixie (serial 20260316)');
+      expect(result.querySelectorAll('tbody tr')).toHaveLength(2);
+    });
+
+    test('reports when nothing matches', async () => {
+      await dashboard.verifyLocalFile(fakeFile(new Uint8Array([1, 2, 3])));
+      expect(document.getElementById('local-verify-result').textContent)
+        .toContain('Matches no published checksum');
+    });
+
+    test('findChecksumMatches requires a full hash', () => {
+      expect(dashboard.findChecksumMatches('215a2389842ffa6d')).toEqual([]);
+      expect(dashboard.findChecksumMatches(
+        '215a2389842ffa6d87905d2f27b768f28f595225929f3d07b968a5ba9aa08f59'
+      )).toHaveLength(2);
+    });
+  });
+});
+
+describe('Filtering and Sorting', () => {
+  const report = normalized({
+    timestamp: '2026-03-22T01:12:57Z',
+    run_id: '1',
+    serial: '20260316',
+    architectures: {
+      amd64: {
+        status: 'success',
+        suites: {
+          bookworm: { reproducible: true, sha256: 'a'.repeat(64), build_time_seconds: 140 },
+          trixie: { reproducible: false, sha256: 'b'.repeat(64), build_time_seconds: 150 }
+        }
+      },
+      arm64: {
+        status: 'success',
+        suites: {
+          bookworm: { reproducible: true, sha256: 'c'.repeat(64), build_time_seconds: 130 },
+          trixie: { reproducible: true, sha256: 'd'.repeat(64), build_time_seconds: 135 }
+        }
+      },
+      ppc64el: {
+        status: 'success',
+        suites: {
+          bookworm: { reproducible: true, sha256: 'e'.repeat(64), build_time_seconds: 610 }
+        }
+      }
+    }
+  });
+  const defaults = () => dashboard.parseViewParams('');
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="view-controls"></div>
+      <div id="matrix-table"></div>
+      <div id="details-content"></div>
+    `;
+    dashboard.state.latest = report;
+    dashboard.state.history = [];
+    dashboard.state.selectedRunId = null;
+    dashboard.state.consensus = {
+      comparisons: [
+        { architecture: 'amd64', suite: 'bookworm', platforms_total: 2, platform_results: [] },
+        { architecture: 'amd64', suite: 'trixie', platforms_total: 1, platform_results: [] }
+      ]
+    };
+    dashboard.state.view = defaults();
+    window.history.replaceState(null, '', '/');
+  });
+
+  test('parseViewParams reads and validates query string', () => {
+    expect(dashboard.parseViewParams('?arch=amd64,arm64&suite=trixie&status=failing&sort=time&dir=desc')).toEqual({
+      archs: ['amd64', 'arm64'],
+      suites: ['trixie'],
+      status: 'failing',
+      sort: 'time',
+      dir: 'desc'
+    });
+    expect(dashboard.parseViewParams('?status=bogus&sort=bogus&dir=up')).toEqual(defaults());
+  });
+
+  test('serializeViewParams round-trips and omits defaults', () => {
+    expect(dashboard.serializeViewParams(defaults())).toBe('');
+    const query = 'arch=amd64,arm64&status=single&sort=status';
+    expect(dashboard.serializeViewParams(dashboard.parseViewParams(query))).toBe(query);
+  });
+
+  test('filterDetailRows applies architecture, suite and status filters', () => {
+    const rows = view => dashboard.filterDetailRows(report, { ...defaults(), ...view })
+      .map(r => `${r.arch}/${r.suite}`);
+
+    expect(rows({ archs: ['arm64'] })).toEqual(['arm64/bookworm', 'arm64/trixie']);
+    expect(rows({ suites: ['trixie'] })).toEqual([
+      'amd64/trixie', 'arm64/trixie', 'armhf/trixie', 'i386/trixie', 'ppc64el/trixie', 's390x/trixie'
+    ]);
+    // Missing expected combinations follow the results and count as failing
+    expect(rows({ status: 'failing' })).toEqual([
+      'amd64/trixie', 'armhf/bookworm', 'armhf/trixie', 'i386/bookworm', 'i386/trixie',
+      'ppc64el/trixie', 's390x/bookworm', 's390x/trixie'
+    ]);
+    expect(rows({ archs: ['amd64'], status: 'failing' })).toEqual(['amd64/trixie']);
+    expect(rows({ status: 'single' })).toEqual(['amd64/trixie']);
+    expect(rows({ status: 'unchecked' })).toEqual(['arm64/bookworm', 'arm64/trixie', 'ppc64el/bookworm']);
+  });
+
+  test('consensus filters follow the selected consensus report', () => {
+    const rows = status => dashboard.filterDetailRows(report, { ...defaults(), status }).map(r => `${r.arch}/${r.suite}`);
+    dashboard.state.consensusArchive = {
+      20251103: { comparisons: [{ architecture: 'arm64', suite: 'trixie', platforms_total: 1, platform_results: [] }] }
+    };
+    dashboard.state.consensusSerial = '20251103';
+    expect(rows('single')).toEqual(['arm64/trixie']);
+
+    dashboard.state.consensusSerial = null;
+    dashboard.state.consensus = null;
+    expect(rows('single')).toEqual([]);
+    expect(rows('unchecked')).toHaveLength(5);
+    dashboard.state.consensusArchive = {};
+  });
+
+  test('sortDetailRows sorts by build time and status', () => {
+    const rows = dashboard.filterDetailRows(report, defaults());
+    const byTime = dashboard.sortDetailRows(rows, { ...defaults(), sort: 'time', dir: 'desc' });
+    expect(byTime[0].arch).toBe('ppc64el');
+
+    const byStatus = dashboard.sortDetailRows(rows, { ...defaults(), sort: 'status' });
+    expect(`${byStatus[0].arch}/${byStatus[0].suite}`).toBe('amd64/trixie');
+  });
+
+  test('visibleMatrix drops empty rows/columns and sorts rows', () => {
+    expect(dashboard.visibleMatrix(report, { ...defaults(), archs: ['amd64', 'arm64'], status: 'failing' }))
+      .toEqual({ archKeys: ['amd64'], suites: ['trixie'] });
+    const built = { ...defaults(), archs: ['amd64', 'arm64', 'ppc64el'] };
+    expect(dashboard.visibleMatrix(report, { ...built, sort: 'time', dir: 'desc' }).archKeys)
+      .toEqual(['ppc64el', 'amd64', 'arm64']);
+    expect(dashboard.visibleMatrix(report, { ...built, sort: 'status' }).archKeys[0])
+      .toBe('amd64');
+    // Architectures with every expected suite missing rank lowest
+    expect(dashboard.visibleMatrix(report, { ...defaults(), sort: 'status' }).archKeys[0])
+      .toBe('armhf');
+  });
+
+  test('setView re-renders tables and writes state to the query string', () => {
+    dashboard.setView({ archs: ['amd64', 'arm64'], status: 'failing' });
+
+    expect(window.location.search).toBe('?arch=amd64,arm64&status=failing');
+    expect(document.querySelectorAll('#matrix-table tbody tr')).toHaveLength(1);
+    expect(document.querySelectorAll('#details-content tbody tr')).toHaveLength(1);
+    expect(document.getElementById('view-status').value).toBe('failing');
+  });
+
+  test('setView preserves run permalink hash', () => {
+    window.history.replaceState(null, '', '/#run=123');
+    dashboard.setView({ archs: ['amd64'] });
+    expect(window.location.search).toBe('?arch=amd64');
+    expect(window.location.hash).toBe('#run=123');
+  });
+
+  test('details header click toggles sort direction', () => {
+    dashboard.renderDetailsTable();
+    document.querySelector('.sort-header[data-sort="time"]').click();
+    expect(dashboard.state.view).toMatchObject({ sort: 'time', dir: 'asc' });
+
+    document.querySelector('.sort-header[data-sort="time"]').click();
+    expect(dashboard.state.view).toMatchObject({ sort: 'time', dir: 'desc' });
+    expect(document.querySelector('#details-content tbody td').textContent).toBe('ppc64el');
+  });
+
+  test('architecture checkbox updates filter', () => {
+    dashboard.renderViewControls();
+    const checkbox = document.querySelector('#view-controls input[name="arch"][value="arm64"]');
+    checkbox.checked = true;
+    checkbox.dispatchEvent(new Event('change'));
+
+    expect(dashboard.state.view.archs).toEqual(['arm64']);
+    expect(window.location.search).toBe('?arch=arm64');
+  });
+});
+
+describe('Trend Charts', () => {
+  const history = [
+    buildReport('1', '2026-01-01T01:00:00Z', coveredResults()),
+    buildReport('2', '2026-01-01T20:00:00Z', coveredResults(true, { amd64: { trixie: false } })),
+    buildReport('3', '2026-01-05T01:00:00Z', {}),
+    buildReport('4', '2026-02-20T01:00:00Z', coveredResults(true, { arm64: { trixie: false } }))
+  ];
+
+  test('trendWindowRange ends at the viewed report and spans the window', () => {
+    const { start, end } = dashboard.trendWindowRange(history, '30', '2026-02-20T01:00:00Z');
+    expect(end).toBe(Date.parse('2026-02-20T01:00:00Z'));
+    expect(end - start).toBe(30 * 24 * 60 * 60 * 1000);
+
+    const all = dashboard.trendWindowRange(history, 'all', '2026-02-20T01:00:00Z');
+    expect(all.start).toBe(Date.parse('2026-01-01T01:00:00Z'));
+  });
+
+  test('calculateTrendSeries buckets runs by day and skips empty runs', () => {
+    const { start, end } = dashboard.trendWindowRange(history, 'all', '2026-02-20T01:00:00Z');
+    const series = dashboard.calculateTrendSeries(history, start, end);
+
+    expect(series.overall.map(p => p.day)).toEqual(['2026-01-01', '2026-02-20']);
+    expect(series.overall[0]).toMatchObject({ reproducible: 23, total: 24, rate: 96 });
+    expect(series.overall[0].runs.map(r => r.run_id)).toEqual(['1', '2']);
+    expect(series.archs.arm64.map(p => p.rate)).toEqual([100, 50]);
+    expect(series.suites.trixie.map(p => p.rate)).toEqual([92, 83]);
+  });
+
+  test('calculateTrendSeries counts missing expected combinations like calculateStats', () => {
+    const partial = buildReport('5', '2026-02-21T01:00:00Z', { amd64: { trixie: true, bookworm: true }, arm64: { trixie: true } });
+    const series = dashboard.calculateTrendSeries([partial], 0, Date.parse('2026-02-22T00:00:00Z'));
+
+    expect(series.overall[0]).toMatchObject({ reproducible: 3, total: 12 });
+    expect(series.overall[0].rate).toBe(dashboard.calculateStats(partial).rate);
+    expect(series.archs.ppc64el.map(p => p.rate)).toEqual([0]);
+  });
+
+  test('calculateTrendSeries excludes runs outside the window', () => {
+    const { start, end } = dashboard.trendWindowRange(history, '7', '2026-02-20T01:00:00Z');
+    const series = dashboard.calculateTrendSeries(history, start, end);
+    expect(series.overall.map(p => p.day)).toEqual(['2026-02-20']);
+  });
+
+  test('generateTrendSVG places points on a fixed 0–100 scale with tooltips', () => {
+    const points = [
+      { day: '2026-01-01', time: 0, rate: 100, reproducible: 1, total: 1, runs: [{ run_id: '1', serial: '20260101' }] },
+      { day: '2026-01-02', time: 100, rate: 0, reproducible: 0, total: 1, runs: [{ run_id: '2', serial: '20260101' }] }
+    ];
+    const svg = dashboard.generateTrendSVG(points, 0, 100, 100, 32);
+
+    expect(svg).toContain('cx="0.0" cy="3.0"');
+    expect(svg).toContain('cx="100.0" cy="29.0"');
+    expect(svg).toContain('<title>2026-01-02: 0% (0/1) · run 2 (serial 20260101)</title>');
+  });
+
+  test('renderHistoryTrends renders rows and switches window', () => {
+    document.body.innerHTML = '<div id="history-trends"></div>';
+    dashboard.state.latest = loadReport();
+    dashboard.state.history = loadHistory();
+    dashboard.state.selectedRunId = null;
+    dashboard.state.trendWindow = 'all';
+
+    dashboard.renderHistoryTrends();
+    const labels = Array.from(document.querySelectorAll('.trend-row .sparkline-label')).map(el => el.textContent);
+    expect(labels).toEqual(['overall', 'amd64', 'arm64', 'armhf', 'i386', 'ppc64el', 's390x', 'bookworm', 'bullseye', 'forky', 'trixie']);
+
+    document.querySelector('.trend-controls button[data-window="7"]').click();
+    expect(dashboard.state.trendWindow).toBe('7');
+    expect(document.querySelector('.trend-controls button[aria-pressed="true"]').textContent).toBe('7 days');
+    expect(document.querySelectorAll('.trend-row')[0].querySelectorAll('circle')).toHaveLength(2);
+  });
+
+  test('trend points stay within the chart in every window', () => {
+    document.body.innerHTML = '<div id="history-trends"></div>';
+    dashboard.state.latest = loadReport();
+    dashboard.state.history = loadHistory();
+    dashboard.state.selectedRunId = null;
+
+    ['run', 'serial'].forEach(group => {
+      dashboard.state.historyGroup = group;
+      dashboard.TREND_WINDOWS.forEach(win => {
+        dashboard.state.trendWindow = win.key;
+        dashboard.renderHistoryTrends();
+        document.querySelectorAll('.trend-chart').forEach(svg => {
+          const width = Number(svg.getAttribute('width'));
+          svg.querySelectorAll('circle').forEach(circle => {
+            const cx = Number(circle.getAttribute('cx'));
+            expect(cx).toBeGreaterThanOrEqual(0);
+            expect(cx).toBeLessThanOrEqual(width);
+          });
+        });
+      });
+    });
+    dashboard.state.historyGroup = 'run';
+  });
+});
+
+describe('Honest Sparklines', () => {
+  const at = day => Date.parse(`2026-01-${String(day).padStart(2, '0')}T00:00:00Z`);
+
+  test('uses a fixed 0–100 scale so a 1% drop stays small', () => {
+    const svg = dashboard.generateSparklineSVG([
+      { time: at(1), rate: 100 },
+      { time: at(2), rate: 99 }
+    ], { width: 100, height: 24 });
+
+    // pad 2px: 100% → y=2.0, 99% → y=2.2 (not the full height)
+    expect(svg).toContain('points="0.0,2.0 100.0,2.2"');
+  });
+
+  test('places points by timestamp rather than index', () => {
+    const svg = dashboard.generateSparklineSVG([
+      { time: at(1), rate: 100 },
+      { time: at(2), rate: 100 },
+      { time: at(5), rate: 100 }
+    ], { width: 100, height: 24 });
+
+    expect(svg).toContain('points="0.0,2.0 25.0,2.0 100.0,2.0"');
+  });
+
+  test('breaks the line at missing runs and marks the latest point', () => {
+    const svg = dashboard.generateSparklineSVG([
+      { time: at(1), rate: 100 },
+      { time: at(2), rate: 100 },
+      { time: at(3), rate: null },
+      { time: at(4), rate: 0 },
+      { time: at(5), rate: 0 }
+    ], { width: 100, height: 24 });
+
+    expect(svg.match(/<polyline/g)).toHaveLength(2);
+    expect(svg).toContain('points="0.0,2.0 25.0,2.0"');
+    expect(svg).toContain('points="75.0,22.0 100.0,22.0"');
+    expect(svg).toContain('class="sparkline-latest" cx="100.0" cy="22.0"');
+  });
+
+  test('exposes a text summary instead of hiding the chart', () => {
+    const points = [1, 2, 3, 4, 5, 6, 7].map(day => ({ time: at(day), rate: 100 }));
+    const svg = dashboard.generateSparklineSVG(points, { label: 'amd64' });
+
+    expect(svg).not.toContain('aria-hidden');
+    expect(svg).toContain('role="img"');
+    expect(svg).toContain('aria-label="amd64: 100% in 7 of 7 runs"');
+    expect(svg).toContain('<title>amd64: 100% in 7 of 7 runs</title>');
+  });
+
+  test('describeSparkline reports gaps and a non-perfect latest value', () => {
+    const text = dashboard.describeSparkline('arm64/trixie', [
+      { time: at(1), rate: 100 },
+      { time: at(2), rate: null },
+      { time: at(3), rate: 0 }
+    ]);
+    expect(text).toBe('arm64/trixie: 100% in 1 of 3 runs, no data in 1, latest 0%');
+  });
+
+  test('returns empty string when fewer than two runs have data', () => {
+    expect(dashboard.generateSparklineSVG([{ time: at(1), rate: 100 }])).toBe('');
+    expect(dashboard.generateSparklineSVG([{ time: at(1), rate: 100 }, { time: at(2), rate: null }])).toBe('');
+    expect(dashboard.generateSparklineSVG(null)).toBe('');
+  });
+
+  test('renderInlineSparkline keeps runs without the combination as gaps', () => {
+    dashboard.state.selectedRunId = null;
+    dashboard.state.history = [
+      { run_id: '1', timestamp: '2026-01-01T00:00:00Z', architectures: { amd64: { suites: { trixie: { reproducible: true } } } } },
+      { run_id: '2', timestamp: '2026-01-02T00:00:00Z', architectures: {} },
+      { run_id: '3', timestamp: '2026-01-03T00:00:00Z', architectures: { amd64: { suites: { trixie: { reproducible: true } } } } }
+    ];
+    dashboard.state.latest = dashboard.state.history[2];
+
+    const svg = dashboard.renderInlineSparkline('amd64', 'trixie');
+    expect(svg).toContain('amd64/trixie: 100% in 2 of 3 runs, no data in 1');
+    expect(svg).not.toContain('<polyline');
+  });
+});
+
+describe('Stability Analysis', () => {
+  // amd64/trixie: steady pass; arm64/trixie: flips; i386/trixie: passed then broke;
+  // armhf/trixie: always broken
+  const history = [
+    buildReport('1', 1, { amd64: { trixie: true }, arm64: { trixie: true }, i386: { trixie: true }, armhf: { trixie: false } }),
+    buildReport('2', 2, { amd64: { trixie: true }, arm64: { trixie: false }, i386: { trixie: true }, armhf: { trixie: false } }),
+    buildReport('3', 3, {}),
+    buildReport('4', 4, { amd64: { trixie: true }, arm64: { trixie: true }, i386: { trixie: false }, armhf: { trixie: false } }),
+    buildReport('5', 5, { amd64: { trixie: true }, arm64: { trixie: false }, i386: { trixie: false }, armhf: { trixie: false } })
+  ];
+
+  test('calculateCellStability measures flips, streak, last failure and pass rate', () => {
+    const stats = dashboard.calculateCellStability(history, 'arm64', 'trixie');
+    expect(stats).toMatchObject({
+      runs: 4,
+      passes: 2,
+      passRate: 50,
+      flips: 3,
+      streak: { reproducible: false, length: 1 },
+      lastFailure: '2026-01-05T00:00:00Z',
+      label: 'flaky'
+    });
+  });
+
+  test('runs without the combination do not break streaks', () => {
+    const stats = dashboard.calculateCellStability(history, 'amd64', 'trixie');
+    expect(stats.streak).toEqual({ reproducible: true, length: 4 });
+    expect(stats.lastFailure).toBeNull();
+    expect(stats.label).toBe('stable');
+    expect(dashboard.calculateCellStability(history, 'ppc64el', 'trixie')).toBeNull();
+  });
+
+  test('classifies regressed and steadily broken cells', () => {
+    expect(dashboard.calculateCellStability(history, 'i386', 'trixie').label).toBe('regressed');
+    expect(dashboard.calculateCellStability(history, 'armhf', 'trixie').label).toBe('stable');
+  });
+
+  test('a flaky cell failing for a long streak counts as regressed', () => {
+    expect(dashboard.classifyStability({ passes: 5, flips: 4, streak: { reproducible: false, length: 3 } })).toBe('regressed');
+    expect(dashboard.classifyStability({ passes: 5, flips: 4, streak: { reproducible: false, length: 2 } })).toBe('flaky');
+  });
+
+  test('rankUnstable orders by flips then pass rate and drops stable cells', () => {
+    const ranked = dashboard.rankUnstable(dashboard.calculateStability(history));
+    expect(ranked.map(s => `${s.arch}/${s.suite}`)).toEqual(['arm64/trixie', 'i386/trixie']);
+  });
+
+  test('renders labels in the matrix and a ranked list', () => {
+    document.body.innerHTML = '<div id="matrix-table"></div><div id="stability-content"></div>';
+    dashboard.state.history = history;
+    dashboard.state.latest = history[history.length - 1];
+    dashboard.state.selectedRunId = null;
+    dashboard.state.view = { archs: [], suites: [], status: 'all', sort: 'name', dir: 'asc' };
+
+    dashboard.renderStatusMatrix();
+    const labels = Array.from(document.querySelectorAll('.cell-stability')).map(el => el.textContent);
+    expect(labels).toEqual(['stable', 'flaky', 'stable', 'regressed']);
+    expect(document.querySelector('.stability-flaky').title).toContain('3 flips, 50% over 4 runs');
+
+    dashboard.renderStabilityPanel();
+    const rows = document.querySelectorAll('.stability-ranking tbody tr');
+    expect(rows).toHaveLength(2);
+    expect(rows[0].querySelector('th').textContent).toBe('arm64/trixie');
+    expect(rows[1].textContent).toContain('2 × ✗');
+  });
+});
+
+describe('Build Time Analytics', () => {
+  const run = (runId, day, seconds) => buildReport(runId, day, { arm64: { trixie: { reproducible: true, build_time_seconds: seconds } } });
+
+  test('percentile uses nearest rank', () => {
+    expect(dashboard.percentile([5, 1, 3, 2, 4], 50)).toBe(3);
+    expect(dashboard.percentile([1, 2, 3, 4, 5, 6, 7, 8, 9, 10], 90)).toBe(9);
+    expect(dashboard.percentile([], 50)).toBe(0);
+  });
+
+  test('treats zero build time as not measured', () => {
+    const history = [run('1', 1, 0), run('2', 2, 100), run('3', 3, 120), run('4', 4, 0)];
+    const [cell] = dashboard.calculateBuildTimeStats(history);
+
+    expect(cell).toMatchObject({ arch: 'arm64', suite: 'trixie', runs: 4, measured: 2, median: 100, p90: 120, latest: null });
+
+    const stats = dashboard.calculateStats(history[2]);
+    expect(stats.measuredBuilds).toBe(1);
+    expect(dashboard.calculateStats(history[3])).toMatchObject({ avgBuildTime: null, measuredBuilds: 0 });
+  });
+
+  test('flags runs much slower than the rolling baseline', () => {
+    const history = [run('1', 1, 100), run('2', 2, 110), run('3', 3, 0), run('4', 4, 105), run('5', 5, 200)];
+    const [cell] = dashboard.calculateBuildTimeStats(history);
+
+    expect(cell.slowRuns).toEqual([
+      { run_id: '5', timestamp: '2026-01-05T00:00:00Z', seconds: 200, baseline: 105 }
+    ]);
+    expect(cell.latestSlow).toBe(true);
+  });
+
+  test('does not flag before a baseline exists', () => {
+    expect(dashboard.findSlowBuilds([
+      { run_id: '1', timestamp: 't1', seconds: 10 },
+      { run_id: '2', timestamp: 't2', seconds: 100 }
+    ])).toEqual([]);
+  });
+
+  test('renderBuildTimePanel and details table show unmeasured times', () => {
+    document.body.innerHTML = '<div id="build-times-content"></div><div id="details-content"></div>';
+    dashboard.state.history = [run('1', 1, 100), run('2', 2, 110), run('3', 3, 105), run('4', 4, 0)];
+    dashboard.state.latest = dashboard.state.history[3];
+    dashboard.state.selectedRunId = null;
+    dashboard.state.view = { archs: [], suites: [], status: 'all', sort: 'name', dir: 'asc' };
+
+    dashboard.renderBuildTimePanel();
+    const cells = Array.from(document.querySelectorAll('.build-times tbody td')).map(td => td.textContent);
+    expect(cells).toEqual(['arm64', 'trixie', 'not measured', '105s', '110s', '3 of 4', '—']);
+
+    dashboard.renderDetailsTable();
+    expect(document.querySelector('#details-content').textContent).toContain('not measured');
+    expect(document.querySelector('.time-bar')).toBeNull();
+  });
+});
+
+describe('Build Environment', () => {
+  const env = (overrides = {}) => ({
+    timestamp: '2026-01-01T00:00:00Z',
+    os: { name: 'Ubuntu', version: '24.04.3 LTS', kernel: '6.11.0-1018-azure', arch: 'x86_64' },
+    docker: 'Docker version 28.0.4, build b8034c0',
+    qemu: 'not installed',
+    git: { version: 'git version 2.52.0', sha: 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa', branch: 'main' },
+    github_actions: { runner_os: 'Linux', runner_name: 'GitHub Actions 1', runner_arch: 'X64', workflow: 'Reproducible Debian Build', run_id: '101', run_number: '7' },
+    ...overrides
+  });
+  // Full expected coverage so rates reflect reproducibility alone
+  const run = (runId, day, environment, reproducible = true) =>
+    buildReport(runId, day, coveredResults(reproducible), { serial: '20260101', environment });
+
+  test('diffEnvironment skips ignored fields', () => {
+    const changes = dashboard.diffEnvironment(
+      env(),
+      env({ docker: 'Docker version 29.1.5, build 0e6fee6', git: { version: 'git version 2.52.0', sha: 'b'.repeat(40), branch: 'main' } }),
+      ['git.sha']
+    );
+    expect(changes).toEqual([
+      { field: 'docker', from: 'Docker version 28.0.4, build b8034c0', to: 'Docker version 29.1.5, build 0e6fee6' }
+    ]);
+  });
+
+  test('detectEnvironmentDrift ties changes to reproducibility', () => {
+    const upgraded = env({ os: { name: 'Ubuntu', version: '24.04.3 LTS', kernel: '6.14.0-1017-azure', arch: 'x86_64' } });
+    const history = [
+      run('1', 1, env()),
+      run('2', 2, { ...env(), github_actions: { ...env().github_actions, run_id: '102', runner_name: 'GitHub Actions 2' } }),
+      run('3', 3, undefined),
+      run('4', 4, upgraded, false)
+    ];
+
+    const drift = dashboard.detectEnvironmentDrift(history);
+    expect(drift).toHaveLength(1);
+    expect(drift[0]).toMatchObject({
+      run_id: '4',
+      changes: [{ field: 'os.kernel', from: '6.11.0-1018-azure', to: '6.14.0-1017-azure' }],
+      previousRate: 100,
+      rate: 0
+    });
+  });
+
+  test('renderEnvironmentPanel links commit and CI run and lists changes', () => {
+    document.body.innerHTML = '<div id="environment-content"></div>';
+    const newer = env({
+      docker: 'Docker version 29.1.5, build 0e6fee6',
+      git: { version: 'git version 2.52.0', sha: 'b'.repeat(40), branch: 'main' }
+    });
+    dashboard.state.history = [run('1', 1, env()), run('2', 2, newer, false)];
+    dashboard.state.latest = dashboard.state.history[1];
+    dashboard.state.selectedRunId = null;
+
+    dashboard.renderEnvironmentPanel();
+    const container = document.getElementById('environment-content');
+    const hrefs = Array.from(container.querySelectorAll('a')).map(a => a.getAttribute('href'));
+    expect(hrefs).toContain(`https://github.com/sheurich/debian-repro/commit/${'b'.repeat(40)}`);
+    expect(hrefs).toContain('https://github.com/sheurich/debian-repro/actions/runs/101');
+    expect(hrefs).toContain(`https://github.com/sheurich/debian-repro/compare/${'a'.repeat(40)}...${'b'.repeat(40)}`);
+
+    const changes = container.querySelector('.env-changes').textContent;
+    expect(changes).toContain('Docker: Docker version 28.0.4, build b8034c0 → Docker version 29.1.5, build 0e6fee6');
+    expect(container.querySelector('.env-drift .cell-fail').textContent).toBe('100% → 0%');
+  });
+
+  test('renderEnvironmentPanel handles runs without environment', () => {
+    document.body.innerHTML = '<div id="environment-content"></div>';
+    dashboard.state.history = [];
+    dashboard.state.latest = run('1', 1, undefined);
+    dashboard.state.selectedRunId = null;
+
+    dashboard.renderEnvironmentPanel();
+    expect(document.getElementById('environment-content').textContent).toContain('No build environment recorded');
+  });
+
+  test('a previous run without environment is reported, not diffed field by field', () => {
+    expect(dashboard.diffEnvironment(undefined, env(), dashboard.ENV_DRIFT_IGNORED)).toBeNull();
+
+    document.body.innerHTML = '<div id="environment-content"></div>';
+    dashboard.state.history = [run('1', 1, undefined), run('2', 2, env())];
+    dashboard.state.latest = dashboard.state.history[1];
+    dashboard.state.selectedRunId = null;
+    dashboard.renderEnvironmentPanel();
+
+    const container = document.getElementById('environment-content');
+    expect(container.textContent).toContain('No environment recorded for run 1.');
+    expect(container.querySelector('.env-changes')).toBeNull();
+
+    const diff = dashboard.diffReports(dashboard.state.history[0], dashboard.state.history[1]);
+    expect(diff.environment).toEqual([]);
+    expect(diff.environmentUnrecorded).toEqual(['1']);
+    expect(dashboard.renderDiffList(diff)).toContain('No environment recorded for run 1');
+  });
+});
+
+describe('HTML Escaping', () => {
+  const XSS = '<img src=x onerror="window.__xss=1">';
+  const ATTR = '" onmouseover="window.__xss=1" x="';
+  const HEX = 'abcdef0123456789';
+  const SHA = `${HEX}${ATTR}${XSS}`;
+
+  const hostileReport = (runId, day, reproducible) => normalized({
+    run_id: `${runId}${XSS}`,
+    serial: `2026010${day}${XSS}`,
+    timestamp: `2026-01-0${day}T00:00:00Z`,
+    epoch: XSS,
+    environment: {
+      os: { name: XSS, version: ATTR, kernel: `6.${day}${XSS}`, arch: XSS },
+      docker: `Docker ${day}${XSS}`,
+      qemu: XSS,
+      git: { version: XSS, sha: `${day}${ATTR}`, branch: XSS },
+      github_actions: { runner_os: XSS, runner_name: XSS, runner_arch: XSS, workflow: XSS, run_id: ATTR, run_number: XSS }
+    },
+    architectures: {
+      [XSS]: {
+        status: 'success',
+        suites: {
+          [ATTR]: { reproducible, sha256: SHA, official_sha256: `${SHA}0`, build_time_seconds: 100 * day }
+        }
+      }
+    }
+  });
+
+  const loadHostileState = () => {
+    dashboard.state.history = [1, 2, 3, 4, 5].map(day => hostileReport(String(day), day, day % 2 === 0));
+    dashboard.state.latest = dashboard.state.history[4];
+    dashboard.state.selectedRunId = null;
+    dashboard.state.route = { view: 'overview', name: null };
+    dashboard.state.view = { archs: [], suites: [], status: 'all', sort: 'name', dir: 'asc' };
+    dashboard.state.trendWindow = 'all';
+    dashboard.state.compare = { base: null, target: null };
+    dashboard.state.consensus = {
+      timestamp: '2026-01-05T00:00:00Z',
+      consensus: { achieved: false },
+      summary: { consensus_achieved: XSS, total_combinations: ATTR, consensus_rate: 0.5 },
+      platforms: [XSS],
+      comparisons: [{
+        architecture: XSS,
+        suite: ATTR,
+        consensus: false,
+        consensus_checksum: SHA,
+        platforms_agreeing: XSS,
+        platforms_total: ATTR,
+        platform_results: [{ platform: XSS, sha256: SHA }, { platform: ATTR, sha256: `${SHA}1` }],
+        disagreement: true
+      }]
+    };
+    dashboard.state.consensusIndex = [
+      { serial: `20260101${XSS}`, timestamp: '2026-01-01T00:00:00Z', platforms: [XSS], consensus_rate: 1, disagreements: 0 },
+      { serial: `20260105${ATTR}`, timestamp: '2026-01-05T00:00:00Z', platforms: [ATTR], consensus_rate: 0.5, disagreements: XSS }
+    ];
+    dashboard.state.consensusArchive = {};
+    dashboard.state.consensusSerial = null;
+    dashboard.state.registry = {
+      timestamp: '2026-01-05T00:00:00Z',
+      serial: XSS,
+      status: XSS,
+      architectures: [XSS],
+      results: [{ architecture: XSS, suite: ATTR, status: XSS, dockerhub_diffid: `sha256:${SHA}`, artifacts_diffid: ATTR }]
+    };
+    dashboard.state.registryHistory = [
+      { ...dashboard.state.registry, timestamp: '2026-01-01T00:00:00Z' },
+      dashboard.state.registry
+    ];
+  };
+
+  const expectNoInjection = () => {
+    expect(document.querySelectorAll('img, script:not(#structured-data)')).toHaveLength(0);
+    document.querySelectorAll('*').forEach(el => {
+      Array.from(el.attributes).forEach(attr => {
+        expect(attr.name.startsWith('on')).toBe(false);
+      });
+    });
+    expect(window.__xss).toBeUndefined();
+  };
+
+  beforeEach(() => {
+    const html = fs.readFileSync(path.join(__dirname, '..', 'dashboard', 'index.html'), 'utf8');
+    document.body.innerHTML = html.substring(html.indexOf('<body'), html.lastIndexOf('</body>')).replace(/<script[\s\S]*?<\/script>/g, '');
+    document.body.insertAdjacentHTML('beforeend', '<script type="application/ld+json" id="structured-data"></script>');
+    loadHostileState();
+  });
+
+  test('escapeHtml escapes markup and quote characters', () => {
+    expect(dashboard.escapeHtml(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+    expect(dashboard.escapeHtml(null)).toBe('');
+    expect(dashboard.escapeHtml(42)).toBe('42');
+  });
+
+  test('highlightChecksumDiff escapes checksum characters', () => {
+    expect(dashboard.highlightChecksumDiff('<a>', '<b>')).toBe('&lt;a&gt;');
+    expect(dashboard.highlightChecksumDiff(XSS, XSS)).not.toContain('<img');
+  });
+
+  test('renderAll renders hostile strings as text in every section', () => {
+    dashboard.renderAll();
+    expectNoInjection();
+
+    expect(document.querySelector('#matrix-table th[scope="row"]').textContent).toBe(XSS);
+    expect(document.querySelector('#details-content .copy-sha').dataset.copy).toBe(SHA);
+    expect(document.querySelector('#registry-content td[title]').title).toContain(`sha256:${SHA}`);
+  });
+
+  test('time-travel, comparison and consensus archive views escape hostile strings', () => {
+    dashboard.state.selectedRunId = dashboard.state.history[1].run_id;
+    dashboard.state.compare = { base: dashboard.state.history[0].run_id, target: dashboard.state.history[3].run_id };
+    dashboard.state.view = { archs: [XSS], suites: [ATTR], status: 'failing', sort: 'time', dir: 'desc' };
+    dashboard.renderAll();
+    expectNoInjection();
+
+    expect(document.querySelector('#run-picker .run-notice').textContent).toContain(`run 2${XSS}`);
+    expect(document.querySelector('#compare-content').textContent).toContain(`6.1${XSS} → 6.4${XSS}`);
+  });
+
+  test('architecture pages escape hostile strings', () => {
+    dashboard.state.route = { view: 'arch', name: XSS };
+    dashboard.renderAll();
+    expectNoInjection();
+
+    expect(document.querySelector('#slice-page h2').textContent).toBe(`Architecture ${XSS}`);
+    expect(document.querySelectorAll('#slice-page .copy-sha').length).toBeGreaterThan(0);
+    dashboard.state.route = { view: 'overview', name: null };
+  });
+
+  test('calendar day runs escape hostile strings', () => {
+    dashboard.state.calendarDay = '2026-01-05';
+    dashboard.renderAll();
+    expectNoInjection();
+
+    expect(document.querySelector('#calendar-content .calendar-day li').textContent).toContain(`serial 20260105${XSS}`);
+    dashboard.state.calendarDay = null;
+  });
+
+  test('search results escape hostile strings', () => {
+    dashboard.renderAll();
+    dashboard.renderSearchResults(HEX);
+    expect(document.querySelectorAll('#search-results tbody tr').length).toBeGreaterThan(0);
+    expectNoInjection();
+  });
+
+  test('local verification escapes hostile file names', async () => {
+    dashboard.renderAll();
+    const file = { name: XSS, size: 1, slice: () => ({ arrayBuffer: () => Promise.reject(new Error(XSS)) }) };
+    await dashboard.verifyLocalFile(file);
+    expect(document.querySelector('#local-verify-result').textContent).toBe(`Could not read ${XSS}: ${XSS}`);
+    expectNoInjection();
+  });
+});
+
+describe('Data Validation', () => {
+  const Ajv = require('ajv');
+  const ajv = new Ajv({ allErrors: true, strict: false, logger: false });
+  const schemaFile = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'schemas', name), 'utf8'));
+  const stripAnnotations = node => {
+    if (Array.isArray(node)) return node.map(stripAnnotations);
+    if (node && typeof node === 'object') {
+      return Object.fromEntries(Object.entries(node)
+        .filter(([key]) => !['$schema', '$id', 'title', 'description'].includes(key))
+        .map(([key, value]) => [key, stripAnnotations(value)]));
+    }
+    return node;
+  };
+  const validateReport = ajv.compile(schemaFile('report.schema.json'));
+
+  const validReport = () => JSON.parse(JSON.stringify(loadFixture('latest.json')));
+  const response = body => Promise.resolve({ ok: true, json: () => Promise.resolve(body) });
+
+  afterEach(() => {
+    delete global.fetch;
+    dashboard.state.dataQuality = [];
+  });
+
+  test.each([
+    ['report.schema.json', 'REPORT_SCHEMA'],
+    ['consensus.schema.json', 'CONSENSUS_SCHEMA'],
+    ['consensus-index.schema.json', 'CONSENSUS_INDEX_SCHEMA'],
+    ['registry.schema.json', 'REGISTRY_SCHEMA']
+  ])('embedded schema mirrors tests/schemas/%s', (file, name) => {
+    expect(dashboard[name]).toEqual(stripAnnotations(schemaFile(file)));
+  });
+
+  test('published data passes validation', () => {
+    expect(dashboard.validateSchema(loadFixture('latest.json'), dashboard.REPORT_SCHEMA)).toEqual([]);
+    loadFixture('history.json').forEach(report => {
+      expect(dashboard.validateSchema(report, dashboard.REPORT_SCHEMA)).toEqual([]);
+    });
+    expect(dashboard.validateSchema(loadFixture('consensus/latest.json'), dashboard.CONSENSUS_SCHEMA)).toEqual([]);
+    expect(dashboard.validateSchema(loadFixture('registry-latest.json'), dashboard.REGISTRY_SCHEMA)).toEqual([]);
+    loadFixture('consensus/index.json').forEach(entry => {
+      expect(dashboard.validateSchema(entry, dashboard.CONSENSUS_INDEX_SCHEMA)).toEqual([]);
+    });
+  });
+
+  test('reports bad serial, missing reproducible and non-hex sha with their paths', () => {
+    const report = validReport();
+    report.serial = '2026-03-16';
+    delete report.architectures.arm64.suites.trixie.reproducible;
+    report.architectures.amd64.suites.bookworm.sha256 = 'not-a-sha';
+
+    expect(dashboard.validateSchema(report, dashboard.REPORT_SCHEMA)).toEqual([
+      { path: 'serial', message: 'does not match ^[0-9]{8}$' },
+      { path: 'architectures.amd64.suites.bookworm.sha256', message: 'does not match ^[a-f0-9]{64}$|^build-failed$|^pending\\.\\.\\.$' },
+      { path: 'architectures.arm64.suites.trixie.reproducible', message: 'is required' }
+    ]);
+  });
+
+  test.each([
+    ['wrong type', r => { r.epoch = '0'; }],
+    ['negative integer', r => { r.epoch = -1; }],
+    ['non-integer build time', r => { r.architectures.amd64.suites.trixie.build_time_seconds = 1.5; }],
+    ['bad enum', r => { r.architectures.amd64.status = 'ok'; }],
+    ['null environment field', r => { r.environment.github_actions = null; }],
+    ['unknown architecture key', r => { r.architectures.sparc = { nonsense: true }; }],
+    ['architectures is an array', r => { r.architectures = []; }]
+  ])('agrees with ajv on %s', (name, mutate) => {
+    const report = validReport();
+    mutate(report);
+    const ours = dashboard.validateSchema(report, dashboard.REPORT_SCHEMA);
+    expect(ours.length === 0).toBe(validateReport(report));
+  });
+
+  test('rejects timestamps that are not ISO 8601 date-times', () => {
+    // ajv leaves "format" unchecked without ajv-formats, so assert directly
+    const report = validReport();
+    report.timestamp = 'yesterday';
+    expect(dashboard.validateSchema(report, dashboard.REPORT_SCHEMA)).toEqual([
+      { path: 'timestamp', message: 'is not an ISO 8601 date-time' }
+    ]);
+  });
+
+  test.each(['2026-13-01T00:00:00Z', '2026-01-32T00:00:00Z'])('rejects the impossible date %s', timestamp => {
+    const report = validReport();
+    report.timestamp = timestamp;
+    expect(dashboard.validateSchema(report, dashboard.REPORT_SCHEMA)).toEqual([
+      { path: 'timestamp', message: 'is not an ISO 8601 date-time' }
+    ]);
+  });
+
+  test('validEntries drops invalid history entries and names their index', () => {
+    const bad = validReport();
+    bad.run_id = 42;
+    const entries = dashboard.validEntries('history.json', [validReport(), bad, validReport()], dashboard.REPORT_SCHEMA);
+
+    expect(entries).toHaveLength(2);
+    expect(dashboard.state.dataQuality).toEqual([
+      { source: 'history.json', path: '[1].run_id', message: 'expected string, got number' }
+    ]);
+  });
+
+  test('loadData keeps invalid documents out of state', async () => {
+    const latest = validReport();
+    latest.architectures.arm64.suites.trixie.sha256 = '<script>';
+    const badHistory = validReport();
+    badHistory.serial = 'bad';
+    const consensus = loadFixture('consensus/latest.json');
+    const registry = { ...loadFixture('registry-latest.json'), status: 'unknown' };
+
+    const bodies = {
+      './data/latest.json': latest,
+      './data/history.json': [validReport(), badHistory],
+      './data/consensus/latest.json': { ...consensus, comparisons: 'none' },
+      './data/consensus/index.json': [...loadFixture('consensus/index.json'), { serial: '<img>', timestamp: 'never' }],
+      './data/registry-latest.json': registry,
+      './data/registry-history.json': { not: 'an array' }
+    };
+    global.fetch = jest.fn(url => response(bodies[url]));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await dashboard.loadData();
+
+    expect(dashboard.state.latest).toBeNull();
+    expect(dashboard.state.history).toHaveLength(1);
+    expect(dashboard.state.consensus).toBeNull();
+    expect(dashboard.state.consensusIndex.map(entry => entry.serial)).toEqual(['20251103']);
+    expect(dashboard.state.registry).toBeNull();
+    expect(dashboard.state.registryHistory).toEqual([]);
+    expect(dashboard.state.dataQuality.map(q => `${q.source} ${q.path}`)).toEqual([
+      'latest.json architectures.arm64.suites.trixie.sha256',
+      'history.json [1].serial',
+      'consensus/latest.json comparisons',
+      'consensus/index.json [1].serial',
+      'consensus/index.json [1].timestamp',
+      'registry-latest.json status',
+      'registry-history.json (root)'
+    ]);
+    console.warn.mockRestore();
+  });
+
+  test('archived consensus reports failing validation are not selected', async () => {
+    document.body.innerHTML = '<section id="data-quality" hidden></section><div id="consensus-content"></div>';
+    global.fetch = jest.fn(() => response({ timestamp: 'never' }));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    dashboard.state.consensusSerial = null;
+
+    await dashboard.selectConsensusSerial('20251103');
+
+    expect(dashboard.state.consensusSerial).toBeNull();
+    expect(dashboard.state.consensusArchive['20251103']).toBeUndefined();
+    expect(document.getElementById('data-quality').textContent).toContain('consensus/20251103.json');
+    console.warn.mockRestore();
+  });
+
+  test('renderDataQualityNotice lists issues and hides when clean', () => {
+    document.body.innerHTML = '<section id="data-quality" hidden></section>';
+    const notice = document.getElementById('data-quality');
+
+    dashboard.state.dataQuality = [];
+    dashboard.renderDataQualityNotice();
+    expect(notice.hidden).toBe(true);
+
+    dashboard.state.dataQuality = Array.from({ length: 25 }, (_, idx) => ({
+      source: 'history.json', path: `[${idx}].serial`, message: 'does not match ^[0-9]{8}$'
+    }));
+    dashboard.renderDataQualityNotice();
+    expect(notice.hidden).toBe(false);
+    expect(notice.textContent).toContain('25 problems in history.json');
+    expect(notice.querySelectorAll('li')).toHaveLength(20);
+    expect(notice.querySelector('li').textContent).toBe('history.json [0].serial does not match ^[0-9]{8}$');
+    expect(notice.textContent).toContain('…and 5 more.');
+  });
+});
+
+describe('Data Normalization', () => {
+  const legacy = () => ({
+    timestamp: '2025-11-08T12:44:03Z',
+    run_id: '1',
+    serial: '20251103',
+    epoch: 1762128000,
+    environment: { timestamp: '2025-11-08T12:44:03Z' },
+    architectures: {
+      amd64: {
+        status: 'success',
+        suites: { trixie: { reproducible: true, our_sha256: 'a'.repeat(64), build_time_seconds: 0 } }
+      }
+    }
+  });
+  const empty = () => ({ ...legacy(), run_id: '2', architectures: {} });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('upgradeReport renames legacy our_sha256 so the report validates', () => {
+    const raw = legacy();
+    expect(dashboard.validateSchema(raw, dashboard.REPORT_SCHEMA)).not.toEqual([]);
+
+    const upgraded = dashboard.upgradeReport(raw);
+    expect(upgraded.architectures.amd64.suites.trixie).toEqual({ reproducible: true, sha256: 'a'.repeat(64), build_time_seconds: 0 });
+    expect(dashboard.validateSchema(upgraded, dashboard.REPORT_SCHEMA)).toEqual([]);
+    expect(raw.architectures.amd64.suites.trixie.our_sha256).toBe('a'.repeat(64));
+    expect(dashboard.upgradeReport('not a report')).toBe('not a report');
+  });
+
+  test('normalizeReport produces the versioned model', () => {
+    const report = dashboard.normalizeReport(dashboard.upgradeReport(legacy()));
+    expect(report.model_version).toBe(dashboard.DATA_MODEL_VERSION);
+    expect(report.hasData).toBe(true);
+    expect(report.architectures.amd64.suites.trixie).toEqual({
+      reproducible: true, sha256: 'a'.repeat(64), official_sha256: null, build_time_seconds: null
+    });
+    expect(dashboard.normalizeReport(report)).toEqual(report);
+  });
+
+  test('runs without results are "no data", not 0%', () => {
+    const report = dashboard.normalizeReport(empty());
+    expect(report.hasData).toBe(false);
+    expect(dashboard.calculateStats(report)).toMatchObject({ rate: null, avgBuildTime: null, totalSuites: 0 });
+    expect(dashboard.formatRate(null)).toBe('no data');
+
+    document.body.innerHTML = '<div id="summary-bar"></div><div id="matrix-table"></div>';
+    dashboard.state.latest = report;
+    dashboard.state.history = [];
+    dashboard.state.selectedRunId = null;
+    dashboard.state.consensus = null;
+    dashboard.renderSummaryBar();
+    dashboard.renderStatusMatrix();
+
+    expect(document.getElementById('summary-bar').textContent).toContain('no data');
+    expect(document.getElementById('summary-bar').textContent).not.toContain('0%');
+    expect(document.getElementById('matrix-table').textContent).toContain('No verification data');
+  });
+
+  test('published history normalizes early empty runs to no data', () => {
+    const history = loadHistory();
+    expect(history.every(report => report.model_version === dashboard.DATA_MODEL_VERSION)).toBe(true);
+    expect(history.filter(report => !report.hasData)).toHaveLength(4);
+    history.forEach(report => {
+      dashboard.forEachSuiteResult(report, (arch, suite, data) => {
+        expect(data.build_time_seconds === null || data.build_time_seconds > 0).toBe(true);
+      });
+    });
+  });
+
+  test('loadData upgrades and normalizes every report once', async () => {
+    const bodies = {
+      './data/latest.json': legacy(),
+      './data/history.json': [empty(), legacy()]
+    };
+    global.fetch = jest.fn(url => (bodies[url] ? fetchOk(bodies[url]) : fetchFailed(404)));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await dashboard.loadData();
+
+    expect(dashboard.state.dataQuality).toEqual([]);
+    expect(dashboard.state.latest).toMatchObject({ model_version: dashboard.DATA_MODEL_VERSION, hasData: true });
+    expect(dashboard.state.latest.architectures.amd64.suites.trixie.sha256).toBe('a'.repeat(64));
+    expect(dashboard.state.history.map(report => report.hasData)).toEqual([false, true]);
+    console.warn.mockRestore();
+  });
+
+  test('an unknown architecture without suites does not drop the report or the history', async () => {
+    const withUnknownArch = report => ({ ...report, architectures: { ...report.architectures, riscv64: { status: 'failure' } } });
+    const history = loadFixture('history.json');
+    const bodies = {
+      './data/latest.json': withUnknownArch(loadFixture('latest.json')),
+      './data/history.json': [...history.slice(0, -1), withUnknownArch(history[history.length - 1])]
+    };
+    global.fetch = jest.fn(url => (bodies[url] ? fetchOk(bodies[url]) : fetchFailed(404)));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await dashboard.loadData();
+
+    expect(dashboard.state.latest.architectures.riscv64.suites).toEqual({});
+    expect(dashboard.state.history).toHaveLength(history.length);
+    expect(dashboard.calculateStats(dashboard.state.latest).totalArchs).toBe(Object.keys(bodies['./data/latest.json'].architectures).length);
+    expect(dashboard.calculateArchStats({ status: 'failure' }).rate).toBeNull();
+    console.warn.mockRestore();
+  });
+});
+
+describe('Serial Grouping', () => {
+  const result = (reproducible, hex) => ({ reproducible, sha256: hex.repeat(64) });
+
+  // 20260101: amd64/trixie rebuilt twice with the same checksum, arm64/trixie
+  // rebuilt twice with different checksums; 20260105: a single run
+  const history = [
+    buildReport('1', 2, { amd64: { trixie: result(true, 'a') }, arm64: { trixie: result(true, 'b') } }, { serial: '20260101' }),
+    buildReport('2', 3, {}, { serial: '20260101' }),
+    buildReport('3', 4, { amd64: { trixie: result(true, 'a') }, arm64: { trixie: result(false, 'c') } }, { serial: '20260101' }),
+    buildReport('4', 6, { amd64: { trixie: result(true, 'd'), bookworm: { reproducible: false, sha256: 'build-failed' } } }, { serial: '20260105' })
+  ];
+
+  afterEach(() => {
+    dashboard.state.historyGroup = 'run';
+  });
+
+  test('groupRunsBySerial counts rebuilds and compares checksums', () => {
+    const [first, second] = dashboard.groupRunsBySerial(history);
+
+    expect(first).toMatchObject({
+      serial: '20260101',
+      firstVerified: '2026-01-02T00:00:00Z',
+      lastVerified: '2026-01-04T00:00:00Z',
+      rebuilt: 2,
+      differing: 1
+    });
+    expect(first.runs.map(r => `${r.run_id}:${r.hasData}`)).toEqual(['1:true', '2:false', '3:true']);
+    expect(first.cells).toEqual([
+      { arch: 'amd64', suite: 'trixie', rebuilds: 2, reproducible: 2, checksums: ['a'.repeat(64)], sameChecksum: true },
+      { arch: 'arm64', suite: 'trixie', rebuilds: 2, reproducible: 1, checksums: ['b'.repeat(64), 'c'.repeat(64)], sameChecksum: false }
+    ]);
+
+    expect(second).toMatchObject({ serial: '20260105', rebuilt: 0, differing: 0 });
+    expect(dashboard.findSerialCell(second, 'amd64', 'bookworm')).toMatchObject({ checksums: [], sameChecksum: null });
+    expect(dashboard.findSerialCell(second, 'arm64', 'trixie')).toBeNull();
+  });
+
+  test('calculateTrendSeries can bucket by serial at the last verification', () => {
+    const series = dashboard.calculateTrendSeries(history, 0, Date.parse('2026-02-01T00:00:00Z'), 'serial');
+
+    expect(series.overall.map(p => p.serial)).toEqual(['20260101', '20260105']);
+    // Each run covers 2 of 12 expected combinations; the other 10 count as missing
+    expect(series.overall[0]).toMatchObject({ day: '2026-01-04', reproducible: 3, total: 24, rate: 13 });
+    expect(series.overall[0].runs.map(r => r.run_id)).toEqual(['1', '3']);
+    expect(series.archs.arm64.map(p => p.rate)).toEqual([25, 0]);
+  });
+
+  test('trend grouping toggle switches trends and matrix sparklines to serials', () => {
+    document.body.innerHTML = '<div id="history-trends"></div><div id="matrix-table"></div>';
+    dashboard.state.history = history;
+    dashboard.state.latest = history[2];
+    dashboard.state.selectedRunId = null;
+    dashboard.state.trendWindow = 'all';
+    dashboard.state.view = { archs: [], suites: [], status: 'all', sort: 'name', dir: 'asc' };
+
+    dashboard.renderHistoryTrends();
+    document.querySelector('.trend-controls button[data-group="serial"]').click();
+
+    expect(dashboard.state.historyGroup).toBe('serial');
+    expect(document.querySelector('button[data-group="serial"]').getAttribute('aria-pressed')).toBe('true');
+    expect(document.querySelector('.trend-chart title').textContent).toMatch(/^serial 20260101: 13% \(3\/24\) · run 1, run 3$/);
+    expect(dashboard.renderInlineSparkline('amd64', 'trixie')).toContain('amd64/trixie: 100% in 2 of 2 serials');
+    expect(document.querySelector('#matrix-table .sparkline title').textContent).toContain('serials');
+  });
+
+  test('matrix flags combinations whose rebuilds produced different checksums', () => {
+    document.body.innerHTML = '<div id="matrix-table"></div>';
+    dashboard.state.history = history.slice(0, 3);
+    dashboard.state.latest = history[2];
+    dashboard.state.selectedRunId = null;
+    dashboard.state.view = { archs: [], suites: [], status: 'all', sort: 'name', dir: 'asc' };
+
+    dashboard.renderStatusMatrix();
+    const flags = document.querySelectorAll('.cell-rebuilds');
+    expect(flags).toHaveLength(1);
+    expect(flags[0].title).toBe('2 different checksums across 2 rebuilds of serial 20260101');
+  });
+
+  test('renderSerialPanel lists serials newest first and expands differing ones', () => {
+    document.body.innerHTML = '<div id="serials-content"></div>';
+    dashboard.state.history = history;
+    dashboard.state.selectedRunId = null;
+
+    dashboard.renderSerialPanel();
+    const container = document.getElementById('serials-content');
+    expect(container.querySelector('.serials-note').textContent)
+      .toBe('4 runs of 2 serials. 1 serial produced different checksums on rebuild.');
+
+    const rows = container.querySelectorAll('.serials tbody tr');
+    expect(rows[0].querySelector('th').textContent).toBe('20260105');
+    expect(rows[0].textContent).toContain('not rebuilt');
+    expect(rows[1].querySelector('td.cell-fail').textContent).toBe('✗ 1 differ');
+    expect(rows[1].querySelector('details').open).toBe(true);
+    expect(rows[1].querySelector('li.cell-fail').textContent)
+      .toBe(`arm64/trixie ×2 · 1/2 reproducible · 2 checksums: ${'b'.repeat(64)} ${'c'.repeat(64)}`);
+  });
+
+  test('renderSerialPanel reports agreement on published history', () => {
+    document.body.innerHTML = '<div id="serials-content"></div>';
+    dashboard.state.history = loadHistory();
+    dashboard.state.selectedRunId = null;
+
+    dashboard.renderSerialPanel();
+    const container = document.getElementById('serials-content');
+    expect(container.querySelector('.serials-note').textContent).toContain('29 runs of 8 serials');
+    expect(container.querySelectorAll('.serials tbody tr')).toHaveLength(8);
+    expect(container.querySelector('li.cell-fail')).toBeNull();
+  });
+});
+
+describe('Expected Coverage', () => {
+  const report = loadReport();
+
+  test('findMissingCoverage lists expected combinations without a result', () => {
+    expect(dashboard.findMissingCoverage(report)).toEqual([
+      { arch: 's390x', suite: 'bookworm' },
+      { arch: 's390x', suite: 'trixie' }
+    ]);
+    expect(dashboard.findMissingCoverage(report, { architectures: ['amd64', 'riscv64'], suites: ['trixie'] }))
+      .toEqual([{ arch: 'riscv64', suite: 'trixie' }]);
+    expect(dashboard.findMissingCoverage(normalized({ ...report, architectures: {} }))).toEqual([]);
+  });
+
+  test('calculateStats counts missing combinations against the rate', () => {
+    const stats = dashboard.calculateStats(report);
+    expect(stats).toMatchObject({ totalSuites: 10, reproducibleSuites: 10, missingSuites: 2, rate: 83 });
+    expect(dashboard.calculateArchStats(undefined, 2).rate).toBe(0);
+    expect(dashboard.calculateArchStats(report.architectures.amd64).rate).toBe(100);
+  });
+
+  test('matrix, details and summary show missing combinations', () => {
+    document.body.innerHTML = `
+      <div id="summary-bar"></div>
+      <div id="matrix-table"></div>
+      <div id="details-content"></div>
+    `;
+    dashboard.state.latest = report;
+    dashboard.state.history = [];
+    dashboard.state.selectedRunId = null;
+    dashboard.state.view = dashboard.parseViewParams('');
+
+    dashboard.renderStatusMatrix();
+    const s390x = Array.from(document.querySelectorAll('#matrix-table tbody tr'))
+      .find(row => row.querySelector('th').textContent === 's390x');
+    expect(Array.from(s390x.querySelectorAll('td.cell-missing')).map(td => td.textContent))
+      .toEqual(['missing/failed to run', 'missing/failed to run']);
+    expect(s390x.lastElementChild.textContent).toBe('0%');
+    expect(document.querySelector('#matrix-table tfoot').textContent).toContain('83%');
+
+    dashboard.renderDetailsTable();
+    expect(document.querySelectorAll('#details-content td.cell-missing')).toHaveLength(2);
+
+    dashboard.renderSummaryBar();
+    expect(document.querySelector('.stat-missing').textContent.replace(/\s+/g, ' ').trim()).toBe('2 missing');
+  });
+});
+
+describe('Data Freshness', () => {
+  const now = new Date('2026-03-27T00:00:00Z');
+
+  afterEach(() => jest.useRealTimers());
+
+  beforeEach(() => {
+    dashboard.state.latest = loadReport();
+    dashboard.state.consensus = loadFixture('consensus/latest.json');
+    dashboard.state.consensusIndex = loadFixture('consensus/index.json');
+    dashboard.state.registry = loadFixture('registry-latest.json');
+    dashboard.state.history = [];
+    dashboard.state.selectedRunId = null;
+  });
+
+  test('consensusSerialOf finds the index entry for the latest report', () => {
+    expect(dashboard.consensusSerialOf(dashboard.state.consensus, dashboard.state.consensusIndex)).toBe('20251103');
+    expect(dashboard.consensusSerialOf(dashboard.state.consensus, [])).toBeNull();
+  });
+
+  test('checkFreshness flags stale feeds and serial skew', () => {
+    const freshness = dashboard.checkFreshness(now);
+    expect(freshness.feeds.map(item => [item.feed, item.ageDays, item.serial, item.stale])).toEqual([
+      ['latest', 4, '20260316', false],
+      ['consensus', 115, '20251103', true],
+      ['registry', 0, '20260316', false]
+    ]);
+    expect(freshness.stale.map(item => item.feed)).toEqual(['consensus']);
+    expect(freshness.skewed.map(item => item.feed)).toEqual(['consensus']);
+  });
+
+  test('checkFreshness skips unloaded feeds and placeholder serials', () => {
+    dashboard.state.consensus = null;
+    dashboard.state.latest = { ...dashboard.state.latest, serial: 'YYYYMMDD', timestamp: now.toISOString() };
+    dashboard.state.registry = { ...dashboard.state.registry, serial: '20260101' };
+
+    const freshness = dashboard.checkFreshness(now);
+    expect(freshness.feeds.map(item => item.feed)).toEqual(['latest', 'registry']);
+    expect(freshness.stale).toEqual([]);
+    expect(freshness.skewed).toEqual([]);
+  });
+
+  test('renderSummaryBar shows a warning for stale and out-of-sync feeds', () => {
+    document.body.innerHTML = '<div id="summary-bar"></div>';
+    jest.useFakeTimers({ now });
+    dashboard.renderSummaryBar();
+
+    const container = document.getElementById('summary-bar');
+    expect(container.classList.contains('summary-stale')).toBe(true);
+    expect(Array.from(container.querySelectorAll('.freshness .feed-warn')).map(li => li.textContent))
+      .toEqual(['Consensus 115d old · 20251103']);
+    expect(container.querySelector('.freshness-note').textContent).toBe(
+      'Data may be out of date: Consensus data is 115 days old (stale after 15). ' +
+      'Feeds out of sync: reproduction verified serial 20260316, consensus verified 20251103.'
+    );
+
+    dashboard.state.consensus = null;
+    dashboard.renderSummaryBar();
+    expect(container.classList.contains('summary-stale')).toBe(false);
+    expect(container.querySelector('.freshness-note')).toBeNull();
+    expect(container.querySelector('.freshness').textContent).toContain('Registry 0d old · 20260316');
+  });
+});
+
+describe('Data Sources', () => {
+  beforeEach(() => {
+    document.body.innerHTML = sourcesDOM;
+    dashboard.state.sources = {};
+    dashboard.state.selectedRunId = null;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    console.warn.mockRestore();
+  });
+
+  test('loadData records HTTP status, load time and Last-Modified per source', async () => {
+    const data = publishedFeeds();
+    global.fetch = jest.fn(url => fetchOk(data[url], { 'Last-Modified': 'Sun, 22 Mar 2026 01:20:00 GMT' }));
+
+    await dashboard.loadData();
+
+    expect(Object.keys(dashboard.state.sources)).toEqual(dashboard.DATA_SOURCES.map(source => source.name));
+    expect(dashboard.state.sources['latest.json']).toMatchObject({
+      ok: true, valid: true, httpStatus: 200, attempts: 1, lastModified: 'Sun, 22 Mar 2026 01:20:00 GMT'
+    });
+
+    dashboard.renderSourceStatus();
+    const items = document.querySelectorAll('#source-status li');
+    expect(items).toHaveLength(6);
+    expect(items[0].className).toBe('source-ok');
+    expect(items[0].textContent).toMatch(/^latest\.json HTTP 200 · \d+ ms · modified March 22, 2026/);
+    expect(document.querySelector('.source-retry')).toBeNull();
+  });
+
+  test('fetchSource retries server errors with backoff but not client errors', async () => {
+    jest.useFakeTimers();
+    global.fetch = jest.fn()
+      .mockImplementationOnce(() => fetchFailed(503))
+      .mockImplementationOnce(() => Promise.reject(new TypeError('Failed to fetch')))
+      .mockImplementationOnce(() => fetchOk({ serial: '20260316' }));
+
+    const pending = dashboard.fetchSource('test.json', './data/test.json');
+    await jest.advanceTimersByTimeAsync(dashboard.FETCH_RETRY.baseDelayMs);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(dashboard.FETCH_RETRY.baseDelayMs * 2);
+
+    await expect(pending).resolves.toEqual({ serial: '20260316' });
+    expect(dashboard.state.sources['test.json']).toMatchObject({ ok: true, attempts: 3 });
+
+    global.fetch = jest.fn(() => fetchFailed(404));
+    await expect(dashboard.fetchSource('test.json', './data/test.json')).rejects.toThrow('HTTP 404');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(dashboard.state.sources['test.json']).toMatchObject({ ok: false, httpStatus: 404, error: 'HTTP 404' });
+  });
+
+  test('unavailable latest report is reported instead of placeholder zeros, and can be retried', async () => {
+    const data = publishedFeeds();
+    global.fetch = jest.fn(url => (url === './data/latest.json' ? fetchFailed(404) : fetchOk(data[url])));
+    await dashboard.loadData();
+    dashboard.renderAll();
+
+    expect(dashboard.state.latest).toBeNull();
+    expect(document.getElementById('summary-bar').textContent)
+      .toContain('Verification results unavailable: latest.json could not be loaded (HTTP 404)');
+    expect(document.getElementById('summary-bar').textContent).not.toContain('0%');
+    expect(document.getElementById('matrix-table').textContent).toBe('Unavailable until latest.json loads.');
+    expect(document.querySelector('#source-status .source-fail').textContent)
+      .toBe('latest.json unavailable: HTTP 404 Retry');
+
+    global.fetch = jest.fn(url => fetchOk(data[url]));
+    document.querySelector('.source-retry').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(global.fetch).toHaveBeenCalledWith('./data/latest.json', expect.anything());
+    expect(dashboard.state.latest.serial).toBe('20260316');
+    expect(document.querySelector('#source-status .source-fail')).toBeNull();
+    expect(document.querySelector('#matrix-table table')).not.toBeNull();
+  });
+});
+
+describe('Auto-refresh', () => {
+  const notModified = () => fetchFailed(304);
+
+  beforeEach(async () => {
+    document.body.innerHTML = sourcesDOM;
+    dashboard.state.sources = {};
+    dashboard.state.selectedRunId = null;
+    dashboard.state.notify = false;
+    dashboard.state.view = dashboard.parseViewParams('');
+    const data = publishedFeeds();
+    global.fetch = jest.fn(url => fetchOk(data[url], { ETag: `"${url}-v1"` }));
+    await dashboard.loadData();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+    delete global.Notification;
+  });
+
+  test('describeAlerts reports rate drops, new disagreements and registry failures', () => {
+    const before = { serial: '20260316', rate: 100, disagreements: 0, registryStatus: 'pass', registrySerial: '20260316' };
+    expect(dashboard.describeAlerts(before, before)).toEqual([]);
+    expect(dashboard.describeAlerts(before, { ...before, rate: 83, disagreements: 1, registryStatus: 'fail' })).toEqual([
+      'Reproducibility dropped from 100% to 83% (serial 20260316)',
+      'Consensus disagreement: 1 combination disagrees across platforms',
+      'Registry verification failed for serial 20260316'
+    ]);
+    expect(dashboard.describeAlerts({ ...before, rate: null }, { ...before, rate: 50 })).toEqual([]);
+  });
+
+  test('refreshData sends validators and re-renders only changed sections', async () => {
+    document.getElementById('matrix-table').innerHTML = '<p id="untouched"></p>';
+    const registry = { ...loadFixture('registry-latest.json'), status: 'fail' };
+    global.fetch = jest.fn(url => (url === './data/registry-latest.json' ? fetchOk(registry, { ETag: '"v2"' }) : notModified()));
+
+    const changed = await dashboard.refreshData();
+
+    expect(changed).toEqual(['registry-latest.json']);
+    expect(global.fetch).toHaveBeenCalledWith('./data/latest.json', {
+      headers: { 'If-None-Match': '"./data/latest.json-v1"' },
+      cache: 'no-store'
+    });
+    expect(dashboard.state.sources['latest.json']).toMatchObject({ ok: true, httpStatus: 304, etag: '"./data/latest.json-v1"' });
+    expect(dashboard.state.sources['registry-latest.json'].etag).toBe('"v2"');
+    expect(dashboard.state.registry.status).toBe('fail');
+    expect(document.getElementById('untouched')).not.toBeNull();
+    expect(document.getElementById('registry-content').textContent).not.toBe('');
+    expect(document.querySelector('.refresh-status').textContent).toContain('last checked');
+  });
+
+  test('refreshData keeps last good data when a source fails and notifies on regressions', async () => {
+    global.Notification = jest.fn();
+    global.Notification.permission = 'granted';
+    await dashboard.setNotifications(true);
+    expect(document.getElementById('notify-toggle').checked).toBe(true);
+
+    const latest = loadFixture('latest.json');
+    latest.architectures.amd64.suites.trixie.reproducible = false;
+    global.fetch = jest.fn(url => {
+      if (url === './data/latest.json') return fetchOk(latest, { ETag: '"v2"' });
+      if (url === './data/consensus/latest.json') return fetchFailed(404);
+      return notModified();
+    });
+
+    const changed = await dashboard.refreshData();
+
+    expect(changed).toEqual(['latest.json']);
+    expect(dashboard.state.consensus).not.toBeNull();
+    expect(dashboard.state.sources['consensus/latest.json']).toMatchObject({ ok: false, httpStatus: 404 });
+    expect(global.Notification).toHaveBeenCalledWith('Debian reproducibility', {
+      body: 'Reproducibility dropped from 83% to 75% (serial 20260316)'
+    });
+  });
+});
+
+describe('Offline Cache', () => {
+  const sw = require(path.join(__dirname, '..', 'dashboard', 'sw.js'));
+  const latestSource = () => dashboard.DATA_SOURCES.find(source => source.name === 'latest.json');
+  const latestUrl = new URL('./data/latest.json', window.location.href).href;
+
+  // Minimal Cache API and Response stand-ins (jsdom provides neither)
+  class FakeResponse {
+    constructor(body, init = {}) {
+      this.body = body;
+      this.status = init.status ?? 200;
+      this.ok = this.status >= 200 && this.status < 300;
+      const headers = Object.fromEntries(Object.entries(init.headers || {}).map(([k, v]) => [k.toLowerCase(), v]));
+      this.headers = { get: name => headers[name.toLowerCase()] ?? null };
+    }
+
+    json() {
+      return Promise.resolve(JSON.parse(this.body));
+    }
+
+    clone() {
+      return this;
+    }
+  }
+  let stores;
+  const cacheFor = name => {
+    if (!stores[name]) {
+      const entries = new Map();
+      const key = request => (typeof request === 'string' ? request : request.url);
+      stores[name] = {
+        entries,
+        put: jest.fn((request, response) => Promise.resolve(entries.set(key(request), response))),
+        match: jest.fn(request => Promise.resolve(entries.get(key(request))))
+      };
+    }
+    return stores[name];
+  };
+  const fetched = body => Promise.resolve(new FakeResponse(JSON.stringify(body)));
+
+  beforeEach(() => {
+    stores = {};
+    global.caches = { open: jest.fn(name => Promise.resolve(cacheFor(name))) };
+    global.Response = FakeResponse;
+    document.body.innerHTML = '<section id="source-status"></section>';
+    dashboard.state.sources = {};
+    dashboard.state.dataQuality = [];
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete global.caches;
+    delete global.Response;
+    console.warn.mockRestore();
+  });
+
+  test('a valid latest.json becomes the last-known-good copy', async () => {
+    global.fetch = jest.fn(() => fetched(loadFixture('latest.json')));
+    await dashboard.loadSource(latestSource());
+
+    const stored = stores[dashboard.DATA_CACHE].entries.get(latestUrl);
+    expect(stored.headers.get('X-Cached-At')).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    expect((await stored.json()).serial).toBe('20260316');
+  });
+
+  test('an invalid latest.json never replaces the cached copy and falls back to it', async () => {
+    const good = loadFixture('latest.json');
+    cacheFor(dashboard.DATA_CACHE).entries.set(latestUrl, new FakeResponse(JSON.stringify(good), {
+      headers: { 'X-Cached-At': '2026-03-22T02:00:00Z' }
+    }));
+    global.fetch = jest.fn(() => fetched({ ...good, serial: 'broken' }));
+
+    await dashboard.loadSource(latestSource());
+
+    expect(stores[dashboard.DATA_CACHE].put).not.toHaveBeenCalled();
+    expect(dashboard.state.latest.serial).toBe('20260316');
+    expect(dashboard.state.sources['latest.json']).toMatchObject({ valid: false, cachedAt: '2026-03-22T02:00:00Z' });
+    expect(dashboard.state.dataQuality.map(issue => `${issue.source} ${issue.path}`)).toEqual(['latest.json serial']);
+
+    dashboard.renderSourceStatus();
+    expect(document.querySelector('.offline-banner').textContent)
+      .toBe('Showing cached data from March 22, 2026 at 02:00 AM UTC: the network copy of latest.json is unavailable or failed validation.');
+  });
+
+  test('service worker serves the cached data feed on network and server errors only', async () => {
+    const cached = new FakeResponse('{}', { headers: { 'X-Cached-At': '2026-03-22T02:00:00Z' } });
+    cacheFor(sw.DATA_CACHE).entries.set(latestUrl, cached);
+    const request = { method: 'GET', url: latestUrl };
+
+    global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+    await expect(sw.handleFetch(request)).resolves.toBe(cached);
+
+    global.fetch = jest.fn(() => Promise.resolve(new FakeResponse('', { status: 503 })));
+    await expect(sw.fetchData(request)).resolves.toBe(cached);
+
+    const missing = new FakeResponse('', { status: 404 });
+    global.fetch = jest.fn(() => Promise.resolve(missing));
+    await expect(sw.fetchData(request)).resolves.toBe(missing);
+    expect(cacheFor(sw.DATA_CACHE).put).not.toHaveBeenCalled();
+
+    expect(sw.handleFetch({ method: 'POST', url: latestUrl })).toBeNull();
+    expect(sw.handleFetch({ method: 'GET', url: 'https://hub.docker.com/v2/' })).toBeNull();
+  });
+
+  test('service worker falls back to the cached app shell offline', async () => {
+    const page = new FakeResponse('<html>');
+    const request = { method: 'GET', url: new URL('./index.html', window.location.href).href };
+
+    global.fetch = jest.fn(() => Promise.resolve(page));
+    await expect(sw.handleFetch(request)).resolves.toBe(page);
+
+    global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+    await expect(sw.fetchShell(request)).resolves.toBe(page);
+    expect(sw.DATA_CACHE).toBe(dashboard.DATA_CACHE);
+  });
+});
+
+describe('Routing', () => {
+  const dashboardDOM = `
+    <nav id="run-picker"></nav>
+    <div id="summary-bar"></div>
+    <section id="slice-page" hidden></section>
+    <div id="overview">
+      <div id="matrix-table"></div>
+      <div id="details-content"></div>
+    </div>
+    <span id="last-update"></span>
+  `;
+
+  beforeEach(() => {
+    document.body.innerHTML = dashboardDOM;
+    dashboard.state.latest = loadReport();
+    dashboard.state.history = loadHistory();
+    dashboard.state.selectedRunId = null;
+    dashboard.state.view = { archs: [], suites: [], status: 'all', sort: 'name', dir: 'asc' };
+    dashboard.state.consensus = loadFixture('consensus/latest.json');
+    dashboard.state.consensusSerial = null;
+    dashboard.state.registry = loadFixture('registry-latest.json');
+    window.history.replaceState(null, '', '/');
+  });
+
+  afterEach(() => {
+    dashboard.state.route = { view: 'overview', name: null };
+  });
+
+  test('parseRoute and routeHash round-trip slice routes and keep #run=', () => {
+    expect(dashboard.parseRoute('#/arch/arm64')).toEqual({ view: 'arch', name: 'arm64' });
+    expect(dashboard.parseRoute('#/suite/trixie?run=19914890425')).toEqual({ view: 'suite', name: 'trixie' });
+    expect(dashboard.parseRoute('#run=19914890425')).toEqual({ view: 'overview', name: null });
+    expect(dashboard.parseRoute('#/release/trixie')).toEqual({ view: 'overview', name: null });
+
+    expect(dashboard.routeHash({ view: 'arch', name: 'arm64' }, '19914890425')).toBe('#/arch/arm64?run=19914890425');
+    expect(dashboard.routeHash({ view: 'suite', name: 'trixie' }, null)).toBe('#/suite/trixie');
+    expect(dashboard.routeHash({ view: 'overview', name: null }, '19914890425')).toBe('#run=19914890425');
+    expect(dashboard.routeHash({ view: 'overview', name: null }, null)).toBe('');
+
+    expect(dashboard.runIdFromHash('#/arch/arm64?run=19914890425')).toBe('19914890425');
+    expect(dashboard.runIdFromHash('#/suite/trixie?serial=20251117')).toBe('19996507452');
+    expect(dashboard.runIdFromHash('#/arch/arm64')).toBeNull();
+  });
+
+  test('matrix headers link to slice pages for the selected run', () => {
+    dashboard.selectRun('19914890425');
+
+    const links = Array.from(document.querySelectorAll('#matrix-table th a')).map(a => a.getAttribute('href'));
+    expect(links).toContain('#/suite/trixie?run=19914890425');
+    expect(links).toContain('#/arch/arm64?run=19914890425');
+  });
+
+  test('architecture page combines status, history, build times, consensus and registry', () => {
+    dashboard.applyHash('#/arch/arm64');
+
+    const page = document.getElementById('slice-page');
+    expect(page.hidden).toBe(false);
+    expect(document.getElementById('overview').hidden).toBe(true);
+    expect(page.querySelector('h2').textContent).toBe('Architecture arm64');
+    expect(Array.from(page.querySelectorAll('h3')).map(h => h.textContent))
+      .toEqual(['Current Status', 'History', 'Build Times', 'Multi-Platform Consensus', 'Registry Verification']);
+
+    const tables = page.querySelectorAll('table');
+    const archColumn = table => Array.from(table.querySelectorAll('tbody tr')).map(tr => tr.cells[0].textContent);
+    expect(archColumn(tables[0])).toEqual(['arm64', 'arm64']);
+    expect(tables[0].querySelectorAll('.copy-sha').length).toBeGreaterThan(0);
+    expect(tables[1].querySelectorAll('tbody tr')).toHaveLength(dashboard.state.history.length);
+    expect(tables[1].querySelectorAll('tfoot .cell-stability').length).toBeGreaterThan(0);
+    [tables[2], tables[3], tables[4]].forEach(table => {
+      expect(new Set(archColumn(table))).toEqual(new Set(['arm64']));
+    });
+    expect(tables[4].textContent).toContain('sha256:');
+  });
+
+  test('suite page keeps the selected run and links back to the overview', () => {
+    dashboard.applyHash('#/suite/trixie?run=19914890425');
+
+    expect(window.location.hash).toBe('#/suite/trixie?run=19914890425');
+    expect(dashboard.state.selectedRunId).toBe('19914890425');
+    const page = document.getElementById('slice-page');
+    expect(page.querySelector('.slice-meta').textContent).toContain('Serial 20251117');
+    expect(page.querySelector('.slice-back a').getAttribute('href')).toBe('#run=19914890425');
+    expect(page.querySelector('.slice-history tbody tr').cells[0].querySelector('a').getAttribute('href'))
+      .toBe('#/suite/trixie?run=19914890425');
+
+    dashboard.applyHash('#run=19914890425');
+    expect(page.hidden).toBe(true);
+    expect(document.getElementById('overview').hidden).toBe(false);
+  });
+});
+
+describe('Verification Calendar', () => {
+  afterEach(() => {
+    dashboard.state.calendarDay = null;
+  });
+
+  test('calculateCalendar lays out UTC weeks and pools each day\'s calculateStats', () => {
+    // 2026-01-01 is a Thursday
+    const weeks = dashboard.calculateCalendar([
+      buildReport('1', '2026-01-01T10:00:00Z', coveredResults()),
+      buildReport('2', '2026-01-01T22:00:00Z', coveredResults(true, { amd64: { bookworm: false } })),
+      buildReport('3', '2026-01-03T00:00:00Z', {}),
+      buildReport('4', '2026-01-05T00:00:00Z', coveredResults(false, { i386: { bookworm: true, trixie: true }, ppc64el: { bookworm: true, trixie: true } }))
+    ]);
+
+    expect(weeks.map(week => week.length)).toEqual([7, 2]);
+    expect(weeks[0].slice(0, 4)).toEqual([null, null, null, null]);
+    expect(weeks[0][4]).toMatchObject({ date: '2026-01-01', rate: 96 });
+    expect(weeks[0][4].runs.map(r => [r.run_id, r.rate])).toEqual([['1', 100], ['2', 92]]);
+    expect(weeks[0][5]).toEqual({ date: '2026-01-02', rate: null, runs: [] });
+    expect(weeks[0][6]).toMatchObject({ date: '2026-01-03', rate: null });
+    expect(weeks[0][6].runs).toHaveLength(1);
+    expect(weeks[1][1]).toMatchObject({ date: '2026-01-05', rate: 33 });
+    expect(dashboard.calculateCalendar([])).toEqual([]);
+  });
+
+  test('calculateCalendar skips runs whose timestamp is not a real date', () => {
+    const weeks = dashboard.calculateCalendar([
+      buildReport('1', '2026-01-01T10:00:00Z', coveredResults()),
+      buildReport('2', '2026-13-01T00:00:00Z', coveredResults(false))
+    ]);
+
+    expect(weeks.flat().filter(Boolean)).toEqual([
+      { date: '2026-01-01', rate: 100, runs: [expect.objectContaining({ run_id: '1' })] }
+    ]);
+    expect(dashboard.calculateCalendar([buildReport('2', '2026-13-01T00:00:00Z', coveredResults())])).toEqual([]);
+  });
+
+  test('calendarLevel buckets rates and separates runs without results', () => {
+    expect([100, 96, 50, 0, null].map(dashboard.calendarLevel))
+      .toEqual(['day-full', 'day-high', 'day-mid', 'day-low', 'day-nodata']);
+  });
+
+  test('renderCalendarPanel marks days without runs and opens a day\'s runs on click', () => {
+    document.body.innerHTML = '<div id="calendar-content"></div>';
+    const history = loadHistory();
+    dashboard.state.history = history;
+    dashboard.state.route = { view: 'overview', name: null };
+    dashboard.renderCalendarPanel();
+
+    const container = document.getElementById('calendar-content');
+    const days = new Set(history.map(report => report.timestamp.slice(0, 10)));
+    expect(container.querySelectorAll('button[data-day]')).toHaveLength(days.size);
+    expect(container.querySelectorAll('td.day-none').length).toBeGreaterThan(0);
+    expect(container.querySelector('thead th').textContent).toBe('Nov');
+
+    const latest = history[history.length - 1];
+    const day = latest.timestamp.slice(0, 10);
+    container.querySelector(`button[data-day="${day}"]`).click();
+    expect(container.querySelector(`button[data-day="${day}"]`).getAttribute('aria-pressed')).toBe('true');
+    expect(container.querySelector('.calendar-day h3').textContent).toBe('Runs on Mar 22, 2026');
+    const links = Array.from(container.querySelectorAll('.calendar-day a')).map(a => a.getAttribute('href'));
+    expect(links).toEqual(history.filter(r => r.timestamp.startsWith(day)).map(r => `#run=${r.run_id}`));
+
+    container.querySelector(`button[data-day="${day}"]`).click();
+    expect(container.querySelector('.calendar-day')).toBeNull();
+  });
+});